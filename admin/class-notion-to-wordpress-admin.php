@@ -154,6 +154,7 @@ class Notion_To_WordPress_Admin {
                 'confirm_sync' => __('确定要开始同步Notion内容吗？', 'notion-to-wordpress'),
 
                 'confirm_clear_logs' => __('确定要清除所有日志文件吗？此操作不可恢复。', 'notion-to-wordpress'),
+                'confirm_clear_blocked_formulas' => __('确定要清空公式拦截记录吗？', 'notion-to-wordpress'),
                 'required_fields' => __('请填写所有必填字段', 'notion-to-wordpress'),
                 'hide_key' => __('隐藏密钥', 'notion-to-wordpress'),
                 'show_key' => __('显示密钥', 'notion-to-wordpress'),
@@ -300,6 +301,24 @@ class Notion_To_WordPress_Admin {
             }
         }
 
+        // 验证 KaTeX 公式宏
+        if (!empty($options['katex_macros'])) {
+            $macros = json_decode($options['katex_macros'], true);
+            if (!is_array($macros) || (!empty($macros) && array_keys($macros) === range(0, count($macros) - 1))) {
+                $errors[] = __('KaTeX 公式宏必须是 JSON 对象，例如 {"\\\\R": "\\\\mathbb{R}"}。', 'notion-to-wordpress');
+            } else {
+                foreach ($macros as $name => $expansion) {
+                    if (!preg_match('/^\\\\?[A-Za-z@]+$/', $name) || !is_string($expansion)) {
+                        $warnings[] = sprintf(__('KaTeX 公式宏 %s 无效，将被忽略。', 'notion-to-wordpress'), $name);
+                    }
+                }
+            }
+        }
+
+        if (($options['katex_security_profile'] ?? '') === 'permissive') {
+            $warnings[] = __('KaTeX 宽松安全策略允许公式插入图片、自定义类名与内联样式，仅建议在内容来源可信时使用。', 'notion-to-wordpress');
+        }
+
         // 验证 iframe 白名单格式
         if (!empty($options['iframe_whitelist']) && $options['iframe_whitelist'] !== '*') {
             $domains = array_map('trim', explode(',', $options['iframe_whitelist']));
@@ -359,6 +378,33 @@ class Notion_To_WordPress_Admin {
         // 最大图片大小
         $options['max_image_size'] = isset( $_POST['max_image_size'] ) ? min( 20, max( 1, intval( $_POST['max_image_size'] ) ) ) : 5; // 1-20MB 范围
 
+        // 锚点导航
+        $options['anchor_header_selectors'] = isset( $_POST['anchor_header_selectors'] ) ? sanitize_text_field( $_POST['anchor_header_selectors'] ) : '';
+        $options['anchor_header_offset'] = isset( $_POST['anchor_header_offset'] ) && $_POST['anchor_header_offset'] !== '' ? min( 500, max( 0, intval( $_POST['anchor_header_offset'] ) ) ) : '';
+        $anchor_scroll_align = isset( $_POST['anchor_scroll_align'] ) ? sanitize_text_field( $_POST['anchor_scroll_align'] ) : 'center';
+        $options['anchor_scroll_align'] = in_array( $anchor_scroll_align, ['start', 'center'] ) ? $anchor_scroll_align : 'center';
+        $options['anchor_scroll_duration'] = isset( $_POST['anchor_scroll_duration'] ) ? min( 3000, max( 0, intval( $_POST['anchor_scroll_duration'] ) ) ) : 0;
+        $options['anchor_live_offset'] = isset( $_POST['anchor_live_offset'] ) ? 1 : 0;
+        $anchor_keyboard_nav = isset( $_POST['anchor_keyboard_nav'] ) ? sanitize_text_field( $_POST['anchor_keyboard_nav'] ) : '';
+        $options['anchor_keyboard_nav'] = in_array( $anchor_keyboard_nav, ['blocks', 'headings'] ) ? $anchor_keyboard_nav : '';
+        $options['anchor_reading_progress'] = isset( $_POST['anchor_reading_progress'] ) ? 1 : 0;
+        $options['anchor_resume_reading'] = isset( $_POST['anchor_resume_reading'] ) ? 1 : 0;
+
+        // KaTeX 公式宏（JSON），合法时统一格式化保存
+        $katex_macros = isset( $_POST['katex_macros'] ) ? trim( sanitize_textarea_field( wp_unslash( $_POST['katex_macros'] ) ) ) : '';
+        $decoded_macros = json_decode( $katex_macros, true );
+        if ( is_array( $decoded_macros ) && ! empty( $decoded_macros ) ) {
+            $katex_macros = wp_json_encode( $decoded_macros, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE );
+        }
+        $options['katex_macros'] = $katex_macros;
+        $options['katex_global_group'] = isset( $_POST['katex_global_group'] ) ? 1 : 0;
+        $katex_security_profile = isset( $_POST['katex_security_profile'] ) ? sanitize_key( $_POST['katex_security_profile'] ) : 'balanced';
+        $options['katex_security_profile'] = in_array( $katex_security_profile, ['strict', 'balanced', 'permissive'] ) ? $katex_security_profile : 'balanced';
+        $options['katex_mathml'] = isset( $_POST['katex_mathml'] ) ? 1 : 0;
+        $katex_aria_label = isset( $_POST['katex_aria_label'] ) ? sanitize_key( $_POST['katex_aria_label'] ) : 'speech';
+        $options['katex_aria_label'] = in_array( $katex_aria_label, ['speech', 'tex'] ) ? $katex_aria_label : 'speech';
+        $options['katex_equation_numbering'] = isset( $_POST['katex_equation_numbering'] ) ? 1 : 0;
+
         // Plugin Language option (替换旧的 force_english_ui)
         $plugin_language = isset( $_POST['plugin_language'] ) ? sanitize_text_field( $_POST['plugin_language'] ) : 'auto';
         if ( in_array( $plugin_language, ['auto', 'zh_CN', 'en_US'] ) ) {
@@ -852,6 +898,23 @@ class Notion_To_WordPress_Admin {
         }
     }
 
+    /**
+     * 清空公式安全策略拦截记录
+     *
+     * @since 2.0.0-beta.1
+     */
+    public function handle_clear_blocked_formulas() {
+        check_ajax_referer('notion_to_wordpress_nonce', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => __('权限不足', 'notion-to-wordpress')]);
+            return;
+        }
+
+        Notion_To_WordPress::clear_blocked_formula_reports();
+        wp_send_json_success(['message' => __('公式拦截记录已清空', 'notion-to-wordpress')]);
+    }
+
     public function handle_view_log() {
         check_ajax_referer('notion_to_wordpress_nonce', 'nonce');
 
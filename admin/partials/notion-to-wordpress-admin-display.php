@@ -684,6 +684,149 @@ $script_nonce = wp_create_nonce('notion_wp_script_nonce');
                                         <p class="description"><?php esc_html_e('允许下载和导入的图片 MIME 类型，多个类型请用英文逗号分隔。输入 * 表示允许所有格式。', 'notion-to-wordpress'); ?></p>
                                     </td>
                                 </tr>
+                                <tr>
+                                    <th scope="row"><label for="anchor_header_selectors"><?php esc_html_e('锚点导航', 'notion-to-wordpress'); ?></label></th>
+                                    <td>
+                                        <?php
+                                        $anchor_header_selectors = $options['anchor_header_selectors'] ?? '';
+                                        $anchor_header_offset = $options['anchor_header_offset'] ?? '';
+                                        $anchor_scroll_align = $options['anchor_scroll_align'] ?? 'center';
+                                        $anchor_scroll_duration = $options['anchor_scroll_duration'] ?? 0;
+                                        $anchor_live_offset = $options['anchor_live_offset'] ?? 1;
+                                        $anchor_keyboard_nav = $options['anchor_keyboard_nav'] ?? '';
+                                        $anchor_reading_progress = $options['anchor_reading_progress'] ?? 1;
+                                        $anchor_resume_reading = $options['anchor_resume_reading'] ?? 1;
+                                        ?>
+                                        <input type="text" id="anchor_header_selectors" name="anchor_header_selectors" value="<?php echo esc_attr($anchor_header_selectors); ?>" class="regular-text" placeholder=".my-header, .notice-banner">
+                                        <p class="description"><?php esc_html_e('额外的固定头部或横幅选择器，多个选择器请用英文逗号分隔。跳转锚点时会避开这些元素。', 'notion-to-wordpress'); ?></p>
+                                        <br>
+                                        <label for="anchor_header_offset"><?php esc_html_e('固定偏移', 'notion-to-wordpress'); ?></label>
+                                        <input type="number" id="anchor_header_offset" name="anchor_header_offset" value="<?php echo esc_attr($anchor_header_offset); ?>" class="small-text" min="0" max="500" step="1">
+                                        <span><?php esc_html_e('px', 'notion-to-wordpress'); ?></span>
+                                        <p class="description"><?php esc_html_e('留空则自动检测头部高度；填写后将使用固定的像素偏移。', 'notion-to-wordpress'); ?></p>
+                                        <br>
+                                        <label for="anchor_scroll_align"><?php esc_html_e('对齐方式', 'notion-to-wordpress'); ?></label>
+                                        <select id="anchor_scroll_align" name="anchor_scroll_align">
+                                            <option value="center" <?php selected('center', $anchor_scroll_align); ?>><?php esc_html_e('居中', 'notion-to-wordpress'); ?></option>
+                                            <option value="start" <?php selected('start', $anchor_scroll_align); ?>><?php esc_html_e('顶部', 'notion-to-wordpress'); ?></option>
+                                        </select>
+                                        <label for="anchor_scroll_duration"><?php esc_html_e('动画时长', 'notion-to-wordpress'); ?></label>
+                                        <input type="number" id="anchor_scroll_duration" name="anchor_scroll_duration" value="<?php echo esc_attr($anchor_scroll_duration); ?>" class="small-text" min="0" max="3000" step="50">
+                                        <span><?php esc_html_e('毫秒', 'notion-to-wordpress'); ?></span>
+                                        <p class="description"><?php esc_html_e('动画时长为 0 时使用浏览器原生平滑滚动。', 'notion-to-wordpress'); ?></p>
+                                        <br>
+                                        <label for="anchor_live_offset" class="checkbox-with-label">
+                                            <input type="checkbox" id="anchor_live_offset" name="anchor_live_offset" value="1" <?php checked(1, $anchor_live_offset); ?>>
+                                            <span><?php esc_html_e('头部尺寸变化时实时重新计算偏移（如可关闭的横幅）', 'notion-to-wordpress'); ?></span>
+                                        </label>
+                                        <br><br>
+                                        <label for="anchor_keyboard_nav"><?php esc_html_e('键盘导航', 'notion-to-wordpress'); ?></label>
+                                        <select id="anchor_keyboard_nav" name="anchor_keyboard_nav">
+                                            <option value="" <?php selected('', $anchor_keyboard_nav); ?>><?php esc_html_e('禁用', 'notion-to-wordpress'); ?></option>
+                                            <option value="blocks" <?php selected('blocks', $anchor_keyboard_nav); ?>><?php esc_html_e('按区块', 'notion-to-wordpress'); ?></option>
+                                            <option value="headings" <?php selected('headings', $anchor_keyboard_nav); ?>><?php esc_html_e('仅标题', 'notion-to-wordpress'); ?></option>
+                                        </select>
+                                        <p class="description"><?php esc_html_e('启用后读者可使用 j / k 在区块间跳转，使用 [ / ] 在标题间跳转。', 'notion-to-wordpress'); ?></p>
+                                        <br>
+                                        <label for="anchor_reading_progress" class="checkbox-with-label">
+                                            <input type="checkbox" id="anchor_reading_progress" name="anchor_reading_progress" value="1" <?php checked(1, $anchor_reading_progress); ?>>
+                                            <span><?php esc_html_e('在长文章顶部显示阅读进度条', 'notion-to-wordpress'); ?></span>
+                                        </label>
+                                        <br>
+                                        <label for="anchor_resume_reading" class="checkbox-with-label">
+                                            <input type="checkbox" id="anchor_resume_reading" name="anchor_resume_reading" value="1" <?php checked(1, $anchor_resume_reading); ?>>
+                                            <span><?php esc_html_e('记住读者的阅读位置，并在下次访问时提示继续阅读', 'notion-to-wordpress'); ?></span>
+                                        </label>
+                                    </td>
+                                </tr>
+                                <tr>
+                                    <th scope="row"><label for="katex_macros"><?php esc_html_e('KaTeX 公式宏', 'notion-to-wordpress'); ?></label></th>
+                                    <td>
+                                        <?php
+                                        $katex_macros = $options['katex_macros'] ?? '';
+                                        $katex_global_group = $options['katex_global_group'] ?? 0;
+                                        ?>
+                                        <textarea id="katex_macros" name="katex_macros" class="large-text code" rows="5" placeholder='{"\\R": "\\mathbb{R}", "\\norm": "\\left\\lVert #1 \\right\\rVert"}'><?php echo esc_textarea($katex_macros); ?></textarea>
+                                        <p class="description"><?php esc_html_e('全站共用的公式宏，JSON 对象格式（宏名 => 展开内容）。文章中可用首行为 "% katex-macros" 的 LaTeX 代码块补充或覆盖本文的宏。', 'notion-to-wordpress'); ?></p>
+                                        <label for="katex_global_group" class="checkbox-with-label">
+                                            <input type="checkbox" id="katex_global_group" name="katex_global_group" value="1" <?php checked(1, $katex_global_group); ?>>
+                                            <span><?php esc_html_e('在同一页面的公式间共享 \\newcommand / \\def 定义（globalGroup）', 'notion-to-wordpress'); ?></span>
+                                        </label>
+                                    </td>
+                                </tr>
+                                <tr>
+                                    <th scope="row"><label for="katex_security_profile"><?php esc_html_e('KaTeX 安全策略', 'notion-to-wordpress'); ?></label></th>
+                                    <td>
+                                        <?php
+                                        $katex_security_profile = $options['katex_security_profile'] ?? 'balanced';
+                                        $blocked_formulas = array_reverse(Notion_To_WordPress::get_blocked_formula_reports());
+                                        ?>
+                                        <select id="katex_security_profile" name="katex_security_profile">
+                                            <option value="strict" <?php selected('strict', $katex_security_profile); ?>><?php esc_html_e('严格', 'notion-to-wordpress'); ?></option>
+                                            <option value="balanced" <?php selected('balanced', $katex_security_profile); ?>><?php esc_html_e('均衡（推荐）', 'notion-to-wordpress'); ?></option>
+                                            <option value="permissive" <?php selected('permissive', $katex_security_profile); ?>><?php esc_html_e('宽松', 'notion-to-wordpress'); ?></option>
+                                        </select>
+                                        <p class="description"><?php esc_html_e('严格：禁止所有链接与 HTML 扩展命令，并对非标准 LaTeX 写法给出警告；均衡：允许 \\href / \\url 的 http、https、mailto 链接；宽松：额外允许 \\includegraphics、\\htmlClass 等命令及站内相对地址。任何策略都不会放行 javascript: 链接，并限制字号与宏展开次数。', 'notion-to-wordpress'); ?></p>
+                                        <div id="katex-blocked-formulas">
+                                            <p><strong><?php esc_html_e('最近被拦截的公式', 'notion-to-wordpress'); ?></strong></p>
+                                            <?php if (empty($blocked_formulas)) : ?>
+                                                <p class="description"><?php esc_html_e('暂无记录。', 'notion-to-wordpress'); ?></p>
+                                            <?php else : ?>
+                                                <ul>
+                                                    <?php foreach (array_slice($blocked_formulas, 0, 20) as $report) : ?>
+                                                        <li>
+                                                            <code><?php echo esc_html($report['tex']); ?></code>
+                                                            <br>
+                                                            <span class="description">
+                                                                <?php
+                                                                printf(
+                                                                    /* translators: 1: 拦截时间 2: 文章标题 3: 被拦截的命令 */
+                                                                    esc_html__('%1$s · %2$s · 拦截：%3$s', 'notion-to-wordpress'),
+                                                                    esc_html(wp_date(get_option('date_format') . ' ' . get_option('time_format'), $report['time'])),
+                                                                    $report['post_id'] ? '<a href="' . esc_url(get_permalink($report['post_id'])) . '" target="_blank">' . esc_html(get_the_title($report['post_id'])) . '</a>' : esc_html__('未知页面', 'notion-to-wordpress'),
+                                                                    esc_html(implode(', ', $report['blocked']))
+                                                                );
+                                                                ?>
+                                                            </span>
+                                                        </li>
+                                                    <?php endforeach; ?>
+                                                </ul>
+                                                <button type="button" class="button" id="clear-blocked-formulas-button"><?php esc_html_e('清空记录', 'notion-to-wordpress'); ?></button>
+                                            <?php endif; ?>
+                                        </div>
+                                    </td>
+                                </tr>
+                                <tr>
+                                    <th scope="row"><?php esc_html_e('公式编号', 'notion-to-wordpress'); ?></th>
+                                    <td>
+                                        <?php $katex_equation_numbering = $options['katex_equation_numbering'] ?? 0; ?>
+                                        <label for="katex_equation_numbering" class="checkbox-with-label">
+                                            <input type="checkbox" id="katex_equation_numbering" name="katex_equation_numbering" value="1" <?php checked(1, $katex_equation_numbering); ?>>
+                                            <span><?php esc_html_e('按顺序为所有块级公式自动编号', 'notion-to-wordpress'); ?></span>
+                                        </label>
+                                        <p class="description"><?php esc_html_e('公式中的 \\tag{} 可覆盖编号，\\notag 可跳过编号；未开启时仅为带 \\label{} 的公式编号。正文或行内公式中的 \\eqref{label} 与 (eq:label) 会链接到对应公式。', 'notion-to-wordpress'); ?></p>
+                                    </td>
+                                </tr>
+                                <tr>
+                                    <th scope="row"><?php esc_html_e('公式无障碍', 'notion-to-wordpress'); ?></th>
+                                    <td>
+                                        <?php
+                                        $katex_mathml = $options['katex_mathml'] ?? 1;
+                                        $katex_aria_label = $options['katex_aria_label'] ?? 'speech';
+                                        ?>
+                                        <label for="katex_mathml" class="checkbox-with-label">
+                                            <input type="checkbox" id="katex_mathml" name="katex_mathml" value="1" <?php checked(1, $katex_mathml); ?>>
+                                            <span><?php esc_html_e('同时输出 MathML（htmlAndMathml），供读屏软件朗读公式', 'notion-to-wordpress'); ?></span>
+                                        </label>
+                                        <br>
+                                        <label for="katex_aria_label"><?php esc_html_e('读屏文本', 'notion-to-wordpress'); ?></label>
+                                        <select id="katex_aria_label" name="katex_aria_label">
+                                            <option value="speech" <?php selected('speech', $katex_aria_label); ?>><?php esc_html_e('朗读文本（如“x 的平方”）', 'notion-to-wordpress'); ?></option>
+                                            <option value="tex" <?php selected('tex', $katex_aria_label); ?>><?php esc_html_e('原始 LaTeX', 'notion-to-wordpress'); ?></option>
+                                        </select>
+                                        <p class="description"><?php esc_html_e('读者可右键公式（或聚焦后按菜单键 / Shift+F10）复制 LaTeX 或 MathML 源码。', 'notion-to-wordpress'); ?></p>
+                                    </td>
+                                </tr>
                                 <tr>
                                     <th scope="row"><label for="plugin_language"><?php esc_html_e('插件界面语言', 'notion-to-wordpress'); ?></label></th>
                                     <td>
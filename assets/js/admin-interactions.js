@@ -696,6 +696,42 @@ jQuery(document).ready(function($) {
         });
     });
     
+    // 清空公式拦截记录
+    $('#clear-blocked-formulas-button').on('click', function(e) {
+        e.preventDefault();
+
+        if (!confirm(notionToWp.i18n.confirm_clear_blocked_formulas)) {
+            return;
+        }
+
+        const button = $(this);
+        button.prop('disabled', true);
+
+        $.ajax({
+            url: notionToWp.ajax_url,
+            type: 'POST',
+            data: {
+                action: 'notion_to_wordpress_clear_blocked_formulas',
+                nonce: notionToWp.nonce
+            },
+            success: function(response) {
+                var message = response.success ? response.data.message : (response.data.message || notionToWp.i18n.unknown_error);
+                showModal(message, response.success ? 'success' : 'error');
+
+                if (response.success) {
+                    $('#katex-blocked-formulas ul').remove();
+                    button.remove();
+                }
+            },
+            error: function() {
+                showModal(notionToWp.i18n.unknown_error, 'error');
+            },
+            complete: function() {
+                button.prop('disabled', false);
+            }
+        });
+    });
+
     // 查看日志
     $('#view-log-button').on('click', function() {
         const logFile = $('#log-file-selector').val();
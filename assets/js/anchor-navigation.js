@@ -1,7 +1,13 @@
 /**
  * Notion 区块锚点导航脚本
  *
- * 实现平滑滚动到 Notion 区块锚点，并处理固定头部的偏移
+ * 实现平滑滚动到 Notion 区块锚点，并处理固定头部的偏移；
+ * 同时根据标题区块自动生成浮动目录（TOC）并高亮当前阅读章节，
+ * 并为每个区块提供"复制区块链接"入口；支持区块范围与文本片段锚点，
+ * 以及阅读进度条和"继续阅读"位置记忆；目标位于折叠块或尚未加载的内容中时会自动展开并等待；
+ * 指向其他已同步页面的 Notion 链接会被解析为对应的 WordPress 永久链接；
+ * 滚动前后派发 notion:anchor:before（可取消、可覆盖偏移）与 notion:anchor:after 事件；
+ * 跳转后焦点移至目标并通过 ARIA live 区域播报，遵循 prefers-reduced-motion 关闭平滑滚动与高亮动画
  *
  * @since 1.1.1
  * @version 2.0.0-beta.1
@@ -17,116 +23,1675 @@
     // 缓存常用值
     let headerOffset = 0;
     let supportsSmoothScroll = 'scrollBehavior' in document.documentElement.style;
+    let supportsResizeObserver = 'ResizeObserver' in window;
+    const reducedMotionQuery = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+
+    // 默认的固定头部选择器
+    const DEFAULT_HEADER_SELECTORS = [
+        'header[style*="position: fixed"]',
+        '.fixed-header',
+        '.sticky-header',
+        '#masthead',
+        '.site-header'
+    ];
+
+    // 滚动配置，可通过 window.notionAnchorConfig（后台设置）
+    // 或内容根元素 [data-notion-anchor] 上的 data-anchor-* 属性覆盖
+    const ANCHOR_CONFIG = {
+        headerSelectors: [],    // 额外的固定头部/横幅选择器，与默认列表合并
+        offset: null,           // 固定像素偏移，设置后不再自动检测头部
+        align: 'center',        // 对齐方式：start | center
+        duration: 0,            // 滚动动画时长（毫秒），0 表示使用浏览器原生平滑滚动
+        liveOffset: true,       // 使用 ResizeObserver 实时重新计算头部偏移
+        keyboardNav: false,     // 键盘导航：false | 'blocks' | 'headings'
+        readingProgress: true,  // 顶部阅读进度条
+        resumeReading: true,    // 记住阅读位置并提示继续阅读
+        waitTimeout: 5000,      // 目标尚未渲染（渐进加载/懒加载）时的最长等待时间（毫秒）
+        pageLinks: {},          // Notion 页面ID（32位无连字符）到 WordPress 永久链接的映射
+        ajaxUrl: '',            // 未命中映射时用于查询永久链接的 admin-ajax 地址
+        pageLinksNonce: '',     // 永久链接查询接口的 nonce
+        pageLinksBatchSize: 20  // 单次查询的页面数量上限
+    };
+
+    // 键盘导航状态
+    let keyboardNavEnabled = false;
+    let keyboardCurrentId = null;
+
+    // Notion 链接解析
+    const NOTION_LINK_SELECTOR = 'a[href*="notion.so/"], a[href*="notion.site/"]';
+    const pageLinkLookups = {};     // 页面ID => Promise<永久链接|null>
+
+    // 等待目标出现的状态
+    let pendingAnchorWait = null;
+
+    // 无障碍：屏幕阅读器播报区域与临时获得焦点的元素
+    let liveRegion = null;
+    let focusedAnchorTarget = null;
+
+    // 头部尺寸监听
+    let headerResizeObserver = null;
+    let scrollAnimationFrame = null;
+
+    // 目录配置
+    const TOC_CONFIG = {
+        headingSelector: '.notion-heading_1[id^="notion-block-"], .notion-heading_2[id^="notion-block-"], .notion-heading_3[id^="notion-block-"]',
+        minHeadings: 3,             // 标题数量少于该值时不生成目录
+        collapseBreakpoint: 1200,   // 窄屏下默认折叠
+        activeClass: 'notion-toc-active',
+        collapsedClass: 'notion-toc-collapsed'
+    };
+
+    // 目录状态
+    let tocElement = null;
+    let tocHeadings = [];
+    let tocActiveId = null;
+
+    // 滚动帧节流标记
+    let scrollFrameScheduled = false;
+
+    // 阅读进度配置
+    const READING_CONFIG = {
+        storagePrefix: 'ntw-reading-position:',
+        expireDays: 30,             // 阅读位置保留天数
+        minBlocks: 10,              // 区块数量少于该值时不启用
+        minScreens: 2,              // 页面高度少于视口的该倍数时不启用
+        resumeSkipBlocks: 3         // 上次位置在前几个区块内时不提示
+    };
+
+    // 阅读进度状态
+    let readingProgressElement = null;
+    let resumePromptElement = null;
+    let readingEnabled = false;
+
+    // 不适合插入链接按钮的区块标签（替换元素或结构性元素）
+    const BLOCK_LINK_EXCLUDED_TAGS = ['IMG', 'IFRAME', 'VIDEO', 'AUDIO', 'HR', 'BR', 'TABLE', 'THEAD', 'TBODY', 'TR', 'UL', 'OL'];
+
+    // 可通过 Tab 聚焦的元素，用于从链接按钮继续正文的 Tab 顺序
+    const TABBABLE_SELECTOR = 'a[href], area[href], button:not([disabled]), input:not([disabled]):not([type="hidden"]), ' +
+        'select:not([disabled]), textarea:not([disabled]), iframe, summary, [contenteditable="true"], [tabindex]';
+
+    // 共享的区块链接按钮及其当前对应的区块
+    let blockLinkButton = null;
+    let blockLinkTarget = null;
+    let blockLinkHideTimer = null;
+
+    /**
+     * 解析以逗号分隔的选择器列表
+     */
+    function parseSelectorList(value) {
+        if (Array.isArray(value)) return value.filter(Boolean);
+        if (typeof value !== 'string') return [];
+        return value.split(',').map(selector => selector.trim()).filter(Boolean);
+    }
+
+    /**
+     * 读取滚动配置（后台设置优先级低于内容根元素上的 data 属性）
+     */
+    function loadAnchorConfig() {
+        const sources = [];
+        if (window.notionAnchorConfig && typeof window.notionAnchorConfig === 'object') {
+            sources.push(window.notionAnchorConfig);
+        }
+
+        const root = document.querySelector('[data-notion-anchor]');
+        if (root) {
+            const data = root.dataset;
+            const fromData = {};
+            if (data.anchorSelectors !== undefined) fromData.headerSelectors = data.anchorSelectors;
+            if (data.anchorOffset !== undefined) fromData.offset = data.anchorOffset;
+            if (data.anchorAlign !== undefined) fromData.align = data.anchorAlign;
+            if (data.anchorDuration !== undefined) fromData.duration = data.anchorDuration;
+            if (data.anchorLiveOffset !== undefined) fromData.liveOffset = data.anchorLiveOffset !== 'false';
+            if (data.anchorKeyboard !== undefined) fromData.keyboardNav = data.anchorKeyboard;
+            if (data.anchorProgress !== undefined) fromData.readingProgress = data.anchorProgress !== 'false';
+            if (data.anchorResume !== undefined) fromData.resumeReading = data.anchorResume !== 'false';
+            sources.push(fromData);
+        }
+
+        sources.forEach(source => {
+            if (source.headerSelectors !== undefined) {
+                ANCHOR_CONFIG.headerSelectors = parseSelectorList(source.headerSelectors);
+            }
+            if (source.offset !== undefined && source.offset !== null && source.offset !== '') {
+                const offset = parseInt(source.offset, 10);
+                ANCHOR_CONFIG.offset = isNaN(offset) ? null : Math.max(0, offset);
+            }
+            if (source.align === 'start' || source.align === 'center') {
+                ANCHOR_CONFIG.align = source.align;
+            }
+            if (source.duration !== undefined) {
+                const duration = parseInt(source.duration, 10);
+                ANCHOR_CONFIG.duration = isNaN(duration) ? 0 : Math.max(0, duration);
+            }
+            if (source.liveOffset !== undefined) {
+                ANCHOR_CONFIG.liveOffset = !!source.liveOffset && source.liveOffset !== '0';
+            }
+            if (source.readingProgress !== undefined) {
+                ANCHOR_CONFIG.readingProgress = !!source.readingProgress && source.readingProgress !== '0';
+            }
+            if (source.resumeReading !== undefined) {
+                ANCHOR_CONFIG.resumeReading = !!source.resumeReading && source.resumeReading !== '0';
+            }
+            if (source.pageLinks && typeof source.pageLinks === 'object') {
+                Object.keys(source.pageLinks).forEach(pageId => {
+                    ANCHOR_CONFIG.pageLinks[compactNotionId(pageId)] = source.pageLinks[pageId];
+                });
+            }
+            if (typeof source.ajaxUrl === 'string') {
+                ANCHOR_CONFIG.ajaxUrl = source.ajaxUrl;
+            }
+            if (typeof source.pageLinksNonce === 'string') {
+                ANCHOR_CONFIG.pageLinksNonce = source.pageLinksNonce;
+            }
+            if (parseInt(source.pageLinksBatchSize, 10) > 0) {
+                ANCHOR_CONFIG.pageLinksBatchSize = parseInt(source.pageLinksBatchSize, 10);
+            }
+            if (source.keyboardNav !== undefined) {
+                ANCHOR_CONFIG.keyboardNav = normalizeKeyboardMode(source.keyboardNav);
+            }
+        });
+
+        return ANCHOR_CONFIG;
+    }
+
+    /**
+     * 获取所有可能的固定头部元素
+     */
+    function getHeaderElements() {
+        const elements = [];
+        DEFAULT_HEADER_SELECTORS.concat(ANCHOR_CONFIG.headerSelectors).forEach(selector => {
+            try {
+                document.querySelectorAll(selector).forEach(element => {
+                    if (elements.indexOf(element) === -1) {
+                        elements.push(element);
+                    }
+                });
+            } catch (e) {
+                console.warn('无效的头部选择器:', selector);
+            }
+        });
+        return elements;
+    }
+
+    /**
+     * 检测固定头部高度
+     */
+    function getHeaderOffset() {
+        if (ANCHOR_CONFIG.offset !== null) {
+            return ANCHOR_CONFIG.offset;
+        }
+
+        let maxHeight = 0;
+        getHeaderElements().forEach(element => {
+            const style = window.getComputedStyle(element);
+            if (style.position === 'fixed') {
+                // 固定元素可能叠放（如横幅 + 头部），取其底边
+                const rect = element.getBoundingClientRect();
+                if (rect.height > 0 && rect.top < window.innerHeight / 2) {
+                    maxHeight = Math.max(maxHeight, rect.bottom);
+                }
+            } else if (style.position === 'sticky') {
+                maxHeight = Math.max(maxHeight, element.offsetHeight);
+            }
+        });
+        
+        return Math.round(maxHeight);
+    }
+
+    /**
+     * 更新头部偏移
+     */
+    function updateHeaderOffset() {
+        headerOffset = getHeaderOffset();
+        document.documentElement.style.setProperty('--ntw-header-offset', headerOffset + 'px');
+    }
+
+    /**
+     * 监听头部尺寸变化，实时更新偏移
+     */
+    function observeHeaderOffset() {
+        // 只观察匹配头部选择器的元素，正文变化不会触发重新计算
+        const headers = getHeaderElements();
+        if (!ANCHOR_CONFIG.liveOffset || !supportsResizeObserver || ANCHOR_CONFIG.offset !== null || headers.length === 0) {
+            window.addEventListener('resize', debounce(updateHeaderOffset, 250));
+            return;
+        }
+
+        headerResizeObserver = new ResizeObserver(() => updateHeaderOffset());
+        headers.forEach(element => headerResizeObserver.observe(element));
+    }
+
+    /**
+     * 用户是否开启了"减少动态效果"
+     */
+    function prefersReducedMotion() {
+        return !!(reducedMotionQuery && reducedMotionQuery.matches);
+    }
+
+    /**
+     * 动画滚动到指定位置
+     */
+    function animateScrollTo(top, onComplete) {
+        if (scrollAnimationFrame) {
+            window.cancelAnimationFrame(scrollAnimationFrame);
+            scrollAnimationFrame = null;
+        }
+
+        // 保证回调只执行一次
+        let completed = false;
+        const complete = () => {
+            if (completed) return;
+            completed = true;
+            if (onComplete) onComplete();
+        };
+
+        const duration = ANCHOR_CONFIG.duration;
+        if (prefersReducedMotion()) {
+            // 用户要求减少动态效果时直接跳转
+            window.scrollTo({ top: top, behavior: 'instant' });
+            complete();
+        } else if (duration > 0 && window.requestAnimationFrame) {
+            const startTop = window.pageYOffset;
+            const distance = top - startTop;
+            let startTime = null;
+
+            const step = timestamp => {
+                if (startTime === null) startTime = timestamp;
+                const progress = Math.min(1, (timestamp - startTime) / duration);
+                // easeInOutCubic
+                const eased = progress < 0.5
+                    ? 4 * progress * progress * progress
+                    : 1 - Math.pow(-2 * progress + 2, 3) / 2;
+
+                // 使用 instant 避免与 CSS scroll-behavior: smooth 叠加
+                window.scrollTo({ top: startTop + distance * eased, behavior: 'instant' });
+                scrollAnimationFrame = progress < 1 ? window.requestAnimationFrame(step) : null;
+                if (progress >= 1) complete();
+            };
+            scrollAnimationFrame = window.requestAnimationFrame(step);
+        } else if (supportsSmoothScroll) {
+            // 原生平滑滚动：优先等待 scrollend，不支持或未发生滚动时超时兜底
+            if ('onscrollend' in window) {
+                window.addEventListener('scrollend', complete, { once: true });
+            }
+            setTimeout(complete, 1000);
+            window.scrollTo({ top: top, behavior: 'smooth' });
+        } else {
+            window.scrollTo(0, top);
+            complete();
+        }
+    }
+
+    /**
+     * 判断 hash 是否为本脚本处理的锚点
+     */
+    function isNotionAnchor(hash) {
+        return !!hash && (hash.startsWith('#notion-block-') || hash.startsWith('#:~:text='));
+    }
+
+    /**
+     * 获取当前页面的锚点（含文本片段指令）
+     *
+     * 支持文本片段的浏览器会从 location.hash 中移除 :~: 之后的指令，
+     * 此时从导航记录的原始地址中取回完整片段
+     */
+    function getLocationHash() {
+        const hash = window.location.hash;
+        if (hash.indexOf(':~:') !== -1 || !window.performance || !performance.getEntriesByType) {
+            return hash;
+        }
+
+        const entry = performance.getEntriesByType('navigation')[0];
+        const hashIndex = entry && entry.name ? entry.name.indexOf('#') : -1;
+        if (hashIndex === -1) return hash;
+
+        const fragment = entry.name.slice(hashIndex);
+        const directiveIndex = fragment.indexOf(':~:');
+        if (directiveIndex === -1) return hash;
+
+        // 仅在片段其余部分与当前 hash 一致时采用，避免使用已过期的导航地址
+        const base = fragment.slice(0, directiveIndex);
+        return base === hash || (base === '#' && hash === '') ? fragment : hash;
+    }
+
+    /**
+     * 解析文本片段指令（text=[prefix-,]start[,end][,-suffix]）
+     */
+    function parseTextDirective(directive) {
+        const textDirective = directive.split('&').find(part => part.indexOf('text=') === 0);
+        if (!textDirective) return null;
+
+        const parts = textDirective.slice(5).split(',');
+        // 忽略前缀与后缀上下文，仅使用起止文本
+        if (parts.length > 1 && parts[0].endsWith('-')) parts.shift();
+        if (parts.length > 1 && parts[parts.length - 1].startsWith('-')) parts.pop();
+
+        try {
+            const start = decodeURIComponent(parts[0] || '').trim();
+            const end = parts[1] ? decodeURIComponent(parts[1]).trim() : '';
+            return start ? { start: start, end: end } : null;
+        } catch (e) {
+            console.warn('无法解析文本片段:', directive);
+            return null;
+        }
+    }
+
+    /**
+     * 解析锚点
+     *
+     * 支持以下格式：
+     *   #notion-block-A
+     *   #notion-block-A..notion-block-B（区块范围）
+     *   #notion-block-A:~:text=start[,end]（区块内文本）
+     *   #:~:text=start[,end]（在全部区块中查找文本）
+     */
+    function parseAnchor(hash) {
+        if (!isNotionAnchor(hash)) return null;
+
+        let fragment = hash.slice(1);
+        let text = null;
+        const directiveIndex = fragment.indexOf(':~:');
+        if (directiveIndex !== -1) {
+            text = parseTextDirective(fragment.slice(directiveIndex + 3));
+            fragment = fragment.slice(0, directiveIndex);
+        }
+
+        const ids = fragment.split('..');
+        const startId = ids[0] || null;
+        const endId = ids[1] && ids[1].startsWith('notion-block-') ? ids[1] : null;
+
+        if (!startId && !text) return null;
+
+        return { startId: startId, endId: endId, text: text };
+    }
+
+    /**
+     * 获取两个区块之间（含首尾）的所有顶层区块
+     */
+    function getBlockRange(start, end) {
+        if (!end || start === end) return [start];
+
+        // 保证 start 位于 end 之前
+        if (start.compareDocumentPosition(end) & Node.DOCUMENT_POSITION_PRECEDING) {
+            const temp = start;
+            start = end;
+            end = temp;
+        }
+
+        const blocks = [];
+        document.querySelectorAll('[id^="notion-block-"]').forEach(element => {
+            const inRange = element === start || element === end || (
+                (start.compareDocumentPosition(element) & Node.DOCUMENT_POSITION_FOLLOWING) &&
+                (element.compareDocumentPosition(end) & Node.DOCUMENT_POSITION_FOLLOWING) &&
+                !element.contains(start) && !element.contains(end)
+            );
+
+            // 已包含在范围内某区块中的子区块不重复计入
+            if (inRange && !blocks.some(block => block.contains(element))) {
+                blocks.push(element);
+            }
+        });
+
+        return blocks;
+    }
+
+    /**
+     * 在元素列表中查找文本，返回需要包裹的文本节点片段
+     */
+    function findTextSegments(elements, text) {
+        const nodes = [];
+        let content = '';
+
+        elements.forEach(element => {
+            const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT, {
+                acceptNode: node => node.parentNode.closest('script, style')
+                    ? NodeFilter.FILTER_REJECT
+                    : NodeFilter.FILTER_ACCEPT
+            });
+            let node;
+            while ((node = walker.nextNode())) {
+                nodes.push({ node: node, offset: content.length });
+                content += node.nodeValue;
+            }
+        });
+
+        const haystack = content.toLowerCase();
+        const from = haystack.indexOf(text.start.toLowerCase());
+        if (from === -1) return null;
+
+        let to = from + text.start.length;
+        if (text.end) {
+            const endIndex = haystack.indexOf(text.end.toLowerCase(), to);
+            if (endIndex === -1) return null;
+            to = endIndex + text.end.length;
+        }
+
+        return nodes
+            .filter(item => item.offset < to && item.offset + item.node.nodeValue.length > from)
+            .map(item => ({
+                node: item.node,
+                start: Math.max(0, from - item.offset),
+                end: Math.min(item.node.nodeValue.length, to - item.offset)
+            }));
+    }
+
+    /**
+     * 查找包含指定文本的最内层区块
+     */
+    function findBlockByText(text) {
+        let scope = document;
+        let found = null;
+
+        for (;;) {
+            const candidates = Array.prototype.filter.call(
+                scope.querySelectorAll('[id^="notion-block-"]'),
+                element => element !== found
+            );
+            const match = candidates.find(element => findTextSegments([element], text));
+            if (!match) return found;
+            found = match;
+            scope = match;
+        }
+    }
+
+    /**
+     * 清除文本片段高亮
+     */
+    function clearTextHighlight() {
+        document.querySelectorAll('mark.notion-text-highlight').forEach(mark => {
+            const parent = mark.parentNode;
+            while (mark.firstChild) {
+                parent.insertBefore(mark.firstChild, mark);
+            }
+            parent.removeChild(mark);
+            parent.normalize();
+        });
+    }
+
+    /**
+     * 高亮文本片段，返回第一个高亮元素
+     */
+    function highlightText(elements, text) {
+        const segments = findTextSegments(elements, text);
+        if (!segments || segments.length === 0) return null;
+
+        const marks = segments.map(segment => {
+            let target = segment.node;
+            if (segment.end < target.nodeValue.length) {
+                target.splitText(segment.end);
+            }
+            if (segment.start > 0) {
+                target = target.splitText(segment.start);
+            }
+
+            const mark = document.createElement('mark');
+            mark.className = 'notion-text-highlight';
+            target.parentNode.replaceChild(mark, target);
+            mark.appendChild(target);
+            return mark;
+        });
+
+        return marks[0];
+    }
+
+    /**
+     * 平滑滚动到元素，并处理头部偏移
+     */
+    function scrollToElement(target, offset, onComplete) {
+        if (typeof offset !== 'number') {
+            offset = headerOffset;
+        }
+
+        const rect = target.getBoundingClientRect();
+        const visibleHeight = window.innerHeight - offset;
+        let top = rect.top + window.pageYOffset - offset;
+
+        // 居中对齐：在头部以下的可视区域内居中，元素过高时退回顶部对齐
+        if (ANCHOR_CONFIG.align === 'center' && rect.height < visibleHeight) {
+            top -= (visibleHeight - rect.height) / 2;
+        }
+
+        animateScrollTo(Math.max(0, Math.round(top)), onComplete);
+    }
+
+    /**
+     * 查找锚点的起始区块
+     */
+    function resolveAnchorStart(anchor) {
+        if (anchor.startId) {
+            return document.getElementById(anchor.startId);
+        }
+        return anchor.text ? findBlockByText(anchor.text) : null;
+    }
+
+    /**
+     * 展开包含目标元素的折叠块（<details> 切换块）
+     */
+    function revealElement(element) {
+        let current = element;
+        while (current && current !== document.body) {
+            if (current.tagName === 'DETAILS' && !current.open) {
+                current.open = true;
+            }
+            current = current.parentElement;
+        }
+    }
+
+    /**
+     * 请求渐进式加载中包含目标记录的容器加载剩余内容
+     */
+    function requestProgressiveContent(blockId) {
+        if (!blockId || !window.NotionProgressiveLoader) return;
+
+        const rawId = blockId.replace('notion-block-', '');
+        const compactId = rawId.replace(/-/g, '');
+        document.querySelectorAll('.notion-progressive-loading[data-records]').forEach(container => {
+            const button = container.querySelector('.notion-load-more-btn');
+            if (!button || button.disabled) return;
+
+            try {
+                const records = atob(container.dataset.records);
+                if (records.indexOf(rawId) !== -1 || records.indexOf(compactId) !== -1) {
+                    // 目标可能位于后续分页中，连续加载直到全部完成
+                    const loader = window.NotionProgressiveLoader;
+                    const request = loader.loadAll ? loader.loadAll(button) : loader.loadMore(button);
+                    if (request && request.catch) request.catch(() => {});
+                }
+            } catch (e) {
+                // 数据无法解析时仅等待内容出现
+            }
+        });
+    }
+
+    /**
+     * 取消正在等待的锚点
+     */
+    function cancelPendingAnchor() {
+        if (!pendingAnchorWait) return;
+
+        pendingAnchorWait.observer.disconnect();
+        clearTimeout(pendingAnchorWait.timer);
+        pendingAnchorWait = null;
+    }
+
+    /**
+     * 等待目标区块出现（渐进加载或懒加载内容），超时后派发 notion:anchor:notfound 事件
+     */
+    function waitForAnchorTarget(anchor, targetId, source) {
+        cancelPendingAnchor();
+        requestProgressiveContent(anchor.startId);
+
+        if (!('MutationObserver' in window) || ANCHOR_CONFIG.waitTimeout <= 0) {
+            dispatchAnchorNotFound(anchor, targetId);
+            return;
+        }
+
+        let checkScheduled = false;
+        const observer = new MutationObserver(() => {
+            if (checkScheduled) return;
+            checkScheduled = true;
+            window.requestAnimationFrame(() => {
+                checkScheduled = false;
+                if (pendingAnchorWait && pendingAnchorWait.observer === observer && resolveAnchorStart(anchor)) {
+                    cancelPendingAnchor();
+                    scrollToAnchor(targetId, source);
+                }
+            });
+        });
+        observer.observe(document.body, { childList: true, subtree: true });
+
+        const timer = setTimeout(() => {
+            cancelPendingAnchor();
+            dispatchAnchorNotFound(anchor, targetId);
+        }, ANCHOR_CONFIG.waitTimeout);
+
+        pendingAnchorWait = { observer: observer, timer: timer, targetId: targetId };
+    }
+
+    /**
+     * 派发目标未找到事件
+     */
+    function dispatchAnchorNotFound(anchor, targetId) {
+        console.warn('未找到锚点目标:', targetId);
+        document.dispatchEvent(new CustomEvent('notion:anchor:notfound', {
+            detail: { targetId: targetId, anchor: anchor }
+        }));
+    }
+
+    /**
+     * 平滑滚动到锚点
+     *
+     * 滚动前在目标元素上派发可取消的 notion:anchor:before 事件（冒泡），
+     * 监听者可调用 preventDefault() 中止滚动，或修改 event.detail.offset 覆盖头部偏移；
+     * 滚动结束后派发 notion:anchor:after 事件。
+     *
+     * @param {string} targetId 锚点 hash
+     * @param {string} [source] 触发来源：click | hash | initial | keyboard | resume | api
+     */
+    function scrollToAnchor(targetId, source) {
+        const anchor = parseAnchor(targetId);
+        if (!anchor) return;
+        source = source || 'api';
+
+        const start = resolveAnchorStart(anchor);
+        if (!start) {
+            waitForAnchorTarget(anchor, targetId, source);
+            return;
+        }
+        cancelPendingAnchor();
+
+        // 区块范围，结束区块不存在时回退到单个区块
+        const end = anchor.endId ? document.getElementById(anchor.endId) : null;
+        const blocks = getBlockRange(start, end);
+
+        const detail = {
+            targetId: targetId,
+            source: source,
+            blocks: blocks,
+            offset: headerOffset
+        };
+        const beforeEvent = new CustomEvent('notion:anchor:before', {
+            bubbles: true,
+            cancelable: true,
+            detail: detail
+        });
+        if (!start.dispatchEvent(beforeEvent)) return;
+
+        // 展开折叠的切换块，确保目标可见
+        blocks.forEach(revealElement);
+
+        // 文本片段高亮，未找到时回退到区块高亮
+        clearTextHighlight();
+        const textTarget = anchor.text ? highlightText(blocks, anchor.text) : null;
+
+        const offset = typeof detail.offset === 'number' && !isNaN(detail.offset) ? detail.offset : headerOffset;
+        scrollToElement(textTarget || blocks[0], offset, () => {
+            start.dispatchEvent(new CustomEvent('notion:anchor:after', {
+                bubbles: true,
+                detail: {
+                    targetId: targetId,
+                    source: source,
+                    blocks: blocks,
+                    offset: offset
+                }
+            }));
+        });
+
+        // 高亮效果
+        blocks.forEach(highlightBlock);
+
+        // 将键盘与屏幕阅读器焦点移到目标并播报所在章节
+        focusAnchorTarget(blocks[0]);
+        announce('已跳转到：' + getAnchorLabel(blocks[0]));
+        
+        // 更新URL
+        if (window.history && window.history.replaceState) {
+            window.history.replaceState(null, null, targetId);
+        }
+    }
+
+    /**
+     * 高亮区块
+     */
+    function highlightBlock(element) {
+        if (!element || !element.classList) return;
+        
+        element.classList.remove('notion-block-highlight');
+        element.offsetWidth; // 强制重绘
+        element.classList.add('notion-block-highlight');
+        
+        // 减少动态效果时 CSS 不播放动画，不会触发 animationend，改为定时移除
+        if (prefersReducedMotion()) {
+            setTimeout(() => element.classList.remove('notion-block-highlight'), 1000);
+            return;
+        }
+
+        // 使用现有的CSS动画，动画结束后自动移除类
+        element.addEventListener('animationend', function removeHighlight() {
+            element.classList.remove('notion-block-highlight');
+            element.removeEventListener('animationend', removeHighlight);
+        }, { once: true });
+    }
+
+    /**
+     * 将焦点移到锚点目标，不可聚焦的区块临时添加 tabindex="-1"，失焦后移除
+     */
+    function focusAnchorTarget(element) {
+        if (!element || typeof element.focus !== 'function') return;
+
+        releaseAnchorFocus();
+        if (!element.hasAttribute('tabindex')) {
+            element.setAttribute('tabindex', '-1');
+            element.addEventListener('blur', releaseAnchorFocus, { once: true });
+            focusedAnchorTarget = element;
+        }
+
+        // 滚动由本脚本负责，避免 focus() 自身的滚动打断动画
+        element.focus({ preventScroll: true });
+    }
+
+    /**
+     * 移除临时添加的 tabindex
+     */
+    function releaseAnchorFocus() {
+        if (!focusedAnchorTarget) return;
+        focusedAnchorTarget.removeEventListener('blur', releaseAnchorFocus);
+        focusedAnchorTarget.removeAttribute('tabindex');
+        focusedAnchorTarget = null;
+    }
+
+    /**
+     * 获取目标所在章节的名称：标题区块取自身文本，否则取前一个标题，均无时截取区块文本
+     */
+    function getAnchorLabel(element) {
+        let heading = element.matches(TOC_CONFIG.headingSelector) ? element : null;
+        if (!heading) {
+            const headings = document.querySelectorAll(TOC_CONFIG.headingSelector);
+            for (let i = headings.length - 1; i >= 0; i--) {
+                if (headings[i].compareDocumentPosition(element) & Node.DOCUMENT_POSITION_FOLLOWING) {
+                    heading = headings[i];
+                    break;
+                }
+            }
+        }
+
+        const text = (heading || element).textContent.replace(/\s+/g, ' ').trim();
+        return text.length > 60 ? text.slice(0, 60) + '…' : text;
+    }
+
+    /**
+     * 通过 ARIA live 区域向屏幕阅读器播报消息
+     */
+    function announce(message) {
+        if (!liveRegion || !liveRegion.isConnected) {
+            liveRegion = document.createElement('div');
+            liveRegion.className = 'notion-anchor-live';
+            liveRegion.setAttribute('role', 'status');
+            liveRegion.setAttribute('aria-live', 'polite');
+            liveRegion.setAttribute('aria-atomic', 'true');
+            document.body.appendChild(liveRegion);
+        }
+
+        // 先清空再写入，确保重复内容也会被播报
+        liveRegion.textContent = '';
+        setTimeout(() => {
+            liveRegion.textContent = message;
+        }, 50);
+    }
+
+    /**
+     * 防抖函数
+     */
+    function debounce(func, wait) {
+        let timeout;
+        return function(...args) {
+            clearTimeout(timeout);
+            timeout = setTimeout(() => func.apply(this, args), wait);
+        };
+    }
+
+    /**
+     * 获取标题层级（1-3）
+     */
+    function getHeadingLevel(heading) {
+        if (heading.classList.contains('notion-heading_1')) return 1;
+        if (heading.classList.contains('notion-heading_2')) return 2;
+        return 3;
+    }
+
+    /**
+     * 构建目录
+     */
+    function buildToc() {
+        destroyToc();
+
+        tocHeadings = Array.prototype.filter.call(
+            document.querySelectorAll(TOC_CONFIG.headingSelector),
+            heading => heading.textContent.trim() !== ''
+        );
+        if (tocHeadings.length < TOC_CONFIG.minHeadings) {
+            tocHeadings = [];
+            return null;
+        }
+
+        const nav = document.createElement('nav');
+        nav.className = 'notion-toc';
+        nav.setAttribute('aria-label', '文章目录');
+
+        const toggle = document.createElement('button');
+        toggle.type = 'button';
+        toggle.className = 'notion-toc-toggle';
+        toggle.textContent = '目录';
+        toggle.addEventListener('click', toggleToc);
+        nav.appendChild(toggle);
+
+        const rootList = document.createElement('ol');
+        rootList.className = 'notion-toc-list';
+        rootList.id = 'notion-toc-list';
+        toggle.setAttribute('aria-controls', rootList.id);
+        nav.appendChild(rootList);
+
+        // 窄屏下点击目录条目后自动收起
+        rootList.addEventListener('click', event => {
+            if (event.target.closest('a') && window.innerWidth < TOC_CONFIG.collapseBreakpoint) {
+                closeToc();
+            }
+        });
+
+        // 按层级嵌套：栈中保存每一层当前的列表及其层级
+        const stack = [{ level: 0, list: rootList }];
+        tocHeadings.forEach(heading => {
+            const level = getHeadingLevel(heading);
+            while (stack.length > 1 && stack[stack.length - 1].level >= level) {
+                stack.pop();
+            }
+
+            const parent = stack[stack.length - 1];
+            let list = parent.list;
+            if (parent.level > 0) {
+                // 在上一级条目下创建子列表
+                const parentItem = list.lastElementChild;
+                let subList = parentItem && parentItem.querySelector(':scope > ol');
+                if (parentItem && !subList) {
+                    subList = document.createElement('ol');
+                    parentItem.appendChild(subList);
+                }
+                list = subList || list;
+            }
+
+            const item = document.createElement('li');
+            item.className = 'notion-toc-item notion-toc-level-' + level;
+            const link = document.createElement('a');
+            link.href = '#' + heading.id;
+            link.textContent = heading.textContent.trim();
+            link.dataset.target = heading.id;
+            item.appendChild(link);
+            list.appendChild(item);
+
+            stack.push({ level: level, list: list });
+        });
+
+        // 窄屏下默认折叠
+        if (window.innerWidth < TOC_CONFIG.collapseBreakpoint) {
+            nav.classList.add(TOC_CONFIG.collapsedClass);
+        }
+        toggle.setAttribute('aria-expanded', String(!nav.classList.contains(TOC_CONFIG.collapsedClass)));
+
+        document.body.appendChild(nav);
+        tocElement = nav;
+        tocActiveId = null;
+        updateTocActive();
+
+        return nav;
+    }
+
+    /**
+     * 移除目录
+     */
+    function destroyToc() {
+        if (tocElement && tocElement.parentNode) {
+            tocElement.parentNode.removeChild(tocElement);
+        }
+        tocElement = null;
+        tocActiveId = null;
+    }
+
+    /**
+     * 设置目录展开状态
+     */
+    function setTocOpen(open) {
+        if (!tocElement) return;
+
+        tocElement.classList.toggle(TOC_CONFIG.collapsedClass, !open);
+        const toggle = tocElement.querySelector('.notion-toc-toggle');
+        if (toggle) {
+            toggle.setAttribute('aria-expanded', String(open));
+        }
+    }
+
+    function openToc() {
+        setTocOpen(true);
+    }
+
+    function closeToc() {
+        setTocOpen(false);
+    }
+
+    function toggleToc() {
+        if (!tocElement) return;
+        setTocOpen(tocElement.classList.contains(TOC_CONFIG.collapsedClass));
+    }
+
+    /**
+     * 滚动监听：高亮当前阅读的章节
+     */
+    function updateTocActive() {
+        if (!tocElement || tocHeadings.length === 0) return;
+
+        // 取最后一个越过头部偏移线的标题作为当前章节
+        const line = headerOffset + 16;
+        let current = tocHeadings[0];
+        for (let i = 0; i < tocHeadings.length; i++) {
+            if (tocHeadings[i].getBoundingClientRect().top <= line) {
+                current = tocHeadings[i];
+            } else {
+                break;
+            }
+        }
+
+        if (current.id === tocActiveId) return;
+        tocActiveId = current.id;
+
+        tocElement.querySelectorAll('a[data-target]').forEach(link => {
+            const active = link.dataset.target === tocActiveId;
+            link.classList.toggle(TOC_CONFIG.activeClass, active);
+            if (active) {
+                link.setAttribute('aria-current', 'location');
+            } else {
+                link.removeAttribute('aria-current');
+            }
+        });
+    }
+
+    /**
+     * 获取阅读位置的存储键（优先使用文章ID）
+     */
+    function getReadingStorageKey() {
+        const match = document.body && document.body.className.match(/(?:^|\s)postid-(\d+)/);
+        return READING_CONFIG.storagePrefix + (match ? 'post-' + match[1] : window.location.pathname);
+    }
+
+    /**
+     * 读取保存的阅读位置
+     */
+    function loadReadingPosition() {
+        try {
+            const raw = window.localStorage.getItem(getReadingStorageKey());
+            if (!raw) return null;
+
+            const position = JSON.parse(raw);
+            const maxAge = READING_CONFIG.expireDays * 24 * 60 * 60 * 1000;
+            if (!position || !position.id || Date.now() - position.time > maxAge) {
+                window.localStorage.removeItem(getReadingStorageKey());
+                return null;
+            }
+            return position;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * 保存当前阅读位置
+     */
+    function saveReadingPosition() {
+        if (!readingEnabled || !ANCHOR_CONFIG.resumeReading) return;
+
+        try {
+            // 读完全文后清除记录
+            if (getReadingProgress() >= 0.99) {
+                window.localStorage.removeItem(getReadingStorageKey());
+                return;
+            }
+
+            // 取最后一个越过阅读线的区块
+            const line = headerOffset + 16;
+            let current = null;
+            const blocks = document.querySelectorAll('[id^="notion-block-"]');
+            for (let i = 0; i < blocks.length; i++) {
+                if (blocks[i].getBoundingClientRect().top <= line) {
+                    current = blocks[i];
+                } else if (current) {
+                    break;
+                }
+            }
+
+            if (current) {
+                window.localStorage.setItem(getReadingStorageKey(), JSON.stringify({
+                    id: current.id,
+                    time: Date.now()
+                }));
+            }
+        } catch (e) {
+            // 隐私模式等场景下 localStorage 不可用，忽略
+        }
+    }
 
     /**
-     * 检测固定头部高度
+     * 计算阅读进度（0 - 1）
      */
-    function getHeaderOffset() {
-        const selectors = [
-            'header[style*="position: fixed"]',
-            '.fixed-header',
-            '.sticky-header',
-            '#masthead',
-            '.site-header'
-        ];
-        
-        let maxHeight = 0;
-        selectors.forEach(selector => {
-            const element = document.querySelector(selector);
-            if (element) {
-                const style = window.getComputedStyle(element);
-                if (style.position === 'fixed' || style.position === 'sticky') {
-                    maxHeight = Math.max(maxHeight, element.offsetHeight);
+    function getReadingProgress() {
+        const scrollable = document.documentElement.scrollHeight - window.innerHeight;
+        if (scrollable <= 0) return 1;
+        return Math.min(1, Math.max(0, window.pageYOffset / scrollable));
+    }
+
+    /**
+     * 更新阅读进度条
+     */
+    function updateReadingProgress() {
+        if (!readingProgressElement) return;
+
+        const percent = Math.round(getReadingProgress() * 100);
+        readingProgressElement.style.transform = 'scaleX(' + (percent / 100) + ')';
+        readingProgressElement.setAttribute('aria-valuenow', String(percent));
+    }
+
+    /**
+     * 关闭"继续阅读"提示
+     */
+    function dismissResumePrompt() {
+        if (resumePromptElement && resumePromptElement.parentNode) {
+            resumePromptElement.parentNode.removeChild(resumePromptElement);
+        }
+        resumePromptElement = null;
+    }
+
+    /**
+     * 显示"继续阅读"提示
+     */
+    function showResumePrompt(position) {
+        const target = document.getElementById(position.id);
+        if (!target) return;
+
+        // 上次位置在开头附近时无需提示
+        const blocks = Array.prototype.slice.call(document.querySelectorAll('[id^="notion-block-"]'));
+        if (blocks.indexOf(target) < READING_CONFIG.resumeSkipBlocks) return;
+
+        dismissResumePrompt();
+
+        // 非模态提示：不抢占焦点，通过礼貌型实时区域播报
+        const prompt = document.createElement('div');
+        prompt.className = 'notion-resume-prompt';
+
+        const text = document.createElement('span');
+        text.className = 'notion-resume-text';
+        text.setAttribute('role', 'status');
+        text.setAttribute('aria-live', 'polite');
+        prompt.appendChild(text);
+
+        const resumeButton = document.createElement('button');
+        resumeButton.type = 'button';
+        resumeButton.className = 'notion-resume-btn';
+        resumeButton.textContent = '继续阅读';
+        resumeButton.addEventListener('click', () => {
+            dismissResumePrompt();
+            scrollToAnchor('#' + position.id, 'resume');
+        });
+        prompt.appendChild(resumeButton);
+
+        const closeButton = document.createElement('button');
+        closeButton.type = 'button';
+        closeButton.className = 'notion-resume-close';
+        closeButton.setAttribute('aria-label', '关闭');
+        closeButton.textContent = '×';
+        closeButton.addEventListener('click', dismissResumePrompt);
+        prompt.appendChild(closeButton);
+
+        document.body.appendChild(prompt);
+        resumePromptElement = prompt;
+
+        // 实时区域插入后再写入文本，确保读屏软件播报
+        setTimeout(() => {
+            text.textContent = '是否从上次离开的位置继续阅读？';
+        }, 100);
+    }
+
+    /**
+     * 初始化阅读进度条与阅读位置记忆
+     */
+    function initReadingProgress() {
+        const blockCount = document.querySelectorAll('[id^="notion-block-"]').length;
+        const longEnough = document.documentElement.scrollHeight >= window.innerHeight * READING_CONFIG.minScreens;
+        readingEnabled = blockCount >= READING_CONFIG.minBlocks && longEnough;
+        if (!readingEnabled) return;
+
+        if (ANCHOR_CONFIG.readingProgress && !readingProgressElement) {
+            const bar = document.createElement('div');
+            bar.className = 'notion-reading-progress';
+            bar.setAttribute('role', 'progressbar');
+            bar.setAttribute('aria-label', '阅读进度');
+            bar.setAttribute('aria-valuemin', '0');
+            bar.setAttribute('aria-valuemax', '100');
+            document.body.appendChild(bar);
+            readingProgressElement = bar;
+            updateReadingProgress();
+        }
+
+        if (ANCHOR_CONFIG.resumeReading) {
+            window.addEventListener('scroll', debounce(saveReadingPosition, 500), { passive: true });
+
+            // 通过锚点进入时不打扰读者
+            const position = loadReadingPosition();
+            if (position && !isNotionAnchor(getLocationHash())) {
+                showResumePrompt(position);
+            }
+        }
+    }
+
+    /**
+     * 每帧滚动处理：目录高亮与阅读进度
+     */
+    function handleScrollFrame() {
+        scrollFrameScheduled = false;
+        updateTocActive();
+        updateReadingProgress();
+    }
+
+    /**
+     * 滚动事件节流（每帧最多计算一次）
+     */
+    function scheduleScrollUpdate() {
+        if (scrollFrameScheduled || (!tocElement && !readingProgressElement)) return;
+        scrollFrameScheduled = true;
+        window.requestAnimationFrame(handleScrollFrame);
+    }
+
+    /**
+     * 生成区块的完整链接
+     */
+    function getBlockUrl(blockId) {
+        const location = window.location;
+        return location.origin + location.pathname + location.search + '#' + blockId;
+    }
+
+    /**
+     * 显示提示消息（委托给前端公共工具）
+     */
+    function showToast(message) {
+        const utils = window.NotionToWordPressUtils;
+        if (utils) {
+            utils.showToast(message);
+        }
+    }
+
+    /**
+     * 复制文本到剪贴板（委托给前端公共工具）
+     */
+    function copyText(text) {
+        const utils = window.NotionToWordPressUtils;
+        return utils ? utils.copyText(text) : Promise.reject(new Error('前端公共工具未加载'));
+    }
+
+    /**
+     * 复制区块链接
+     */
+    function copyBlockLink(blockId) {
+        const url = getBlockUrl(blockId);
+
+        return copyText(url).then(() => {
+            showToast('✅ 区块链接已复制到剪贴板');
+
+            // 同步地址栏，便于直接分享
+            if (window.history && window.history.replaceState) {
+                window.history.replaceState(null, null, '#' + blockId);
+            }
+            return url;
+        }).catch(() => {
+            showToast('❌ 复制失败，请手动复制');
+        });
+    }
+
+    /**
+     * 获取区块链接按钮（懒创建，挂在 body 下，不改动正文结构）
+     */
+    function getBlockLinkButton() {
+        if (blockLinkButton) return blockLinkButton;
+
+        blockLinkButton = document.createElement('button');
+        blockLinkButton.type = 'button';
+        blockLinkButton.className = 'notion-block-link';
+        blockLinkButton.setAttribute('aria-label', '复制区块链接');
+        blockLinkButton.title = '复制区块链接';
+        blockLinkButton.innerHTML = '<svg width="14" height="14" viewBox="0 0 16 16" fill="currentColor" aria-hidden="true">' +
+            '<path d="M4.715 6.542 3.343 7.914a3 3 0 1 0 4.243 4.243l1.828-1.829A3 3 0 0 0 8.586 5.5L8 6.086a1 1 0 0 0-.154.199 2 2 0 0 1 .861 3.337L6.88 11.45a2 2 0 1 1-2.83-2.83l.793-.792a4 4 0 0 1-.128-1.287z"/>' +
+            '<path d="M6.586 4.672A3 3 0 0 0 7.414 9.5l.775-.776a2 2 0 0 1-.896-3.346L9.12 3.55a2 2 0 1 1 2.83 2.83l-.793.792c.112.42.155.855.128 1.287l1.372-1.372a3 3 0 1 0-4.243-4.243z"/>' +
+            '</svg>';
+
+        blockLinkButton.addEventListener('click', function() {
+            if (blockLinkTarget) {
+                copyBlockLink(blockLinkTarget.id);
+            }
+        });
+
+        // 按钮不在正文中：Shift+Tab 或 Esc 回到对应区块，Tab 继续区块内及其后的 Tab 顺序
+        blockLinkButton.addEventListener('keydown', function(event) {
+            if (!blockLinkTarget) return;
+
+            if (event.key === 'Escape' || (event.key === 'Tab' && event.shiftKey)) {
+                event.preventDefault();
+                focusAnchorTarget(blockLinkTarget);
+            } else if (event.key === 'Tab') {
+                const next = findNextTabbable(blockLinkTarget);
+                if (next) {
+                    event.preventDefault();
+                    next.focus();
                 }
             }
         });
-        
-        return maxHeight;
+
+        blockLinkButton.addEventListener('focusout', function(event) {
+            if (!event.relatedTarget || !blockLinkTarget || !blockLinkTarget.contains(event.relatedTarget)) {
+                hideBlockLink();
+            }
+        });
+
+        document.body.appendChild(blockLinkButton);
+        return blockLinkButton;
     }
 
     /**
-     * 更新头部偏移
+     * 将链接按钮定位到区块左侧（窄屏时在右侧）
      */
-    function updateHeaderOffset() {
-        headerOffset = getHeaderOffset();
-        document.documentElement.style.setProperty('--ntw-header-offset', headerOffset + 'px');
+    function showBlockLink(block) {
+        const button = getBlockLinkButton();
+        const rect = block.getBoundingClientRect();
+        const narrow = window.matchMedia && window.matchMedia('(max-width: 768px)').matches;
+
+        blockLinkTarget = block;
+        button.style.top = (rect.top + window.pageYOffset) + 'px';
+        button.style.left = (narrow ? rect.right - 20 : rect.left - 24) + window.pageXOffset + 'px';
+        button.classList.add('notion-block-link-visible');
     }
 
     /**
-     * 平滑滚动到锚点
+     * 隐藏链接按钮（按钮自身有焦点时保留）
      */
-    function scrollToAnchor(targetId) {
-        if (!targetId || !targetId.startsWith('#notion-block-')) return;
-        
-        const cleanId = targetId.replace('#', '');
-        const target = document.getElementById(cleanId);
-        if (!target) return;
+    function hideBlockLink() {
+        if (!blockLinkButton || document.activeElement === blockLinkButton) return;
+        blockLinkButton.classList.remove('notion-block-link-visible');
+        blockLinkTarget = null;
+    }
+
+    /**
+     * 获取事件目标所在的区块
+     */
+    function getHoverBlock(target) {
+        const block = target.closest ? target.closest('[id^="notion-block-"]') : null;
+        return block && BLOCK_LINK_EXCLUDED_TAGS.indexOf(block.tagName) === -1 ? block : null;
+    }
 
-        // 滚动到目标位置
-        const scrollOptions = { block: 'center' };
-        if (supportsSmoothScroll) {
-            scrollOptions.behavior = 'smooth';
+    /**
+     * 悬停或聚焦区块时显示链接按钮
+     */
+    function handleBlockHover(event) {
+        clearTimeout(blockLinkHideTimer);
+        if (blockLinkButton && blockLinkButton.contains(event.target)) return;
+
+        const block = getHoverBlock(event.target);
+        if (!block) {
+            // 稍后隐藏，便于指针穿过区块与按钮之间的空隙
+            blockLinkHideTimer = setTimeout(hideBlockLink, 300);
+        } else if (block !== blockLinkTarget || !blockLinkButton.classList.contains('notion-block-link-visible')) {
+            showBlockLink(block);
         }
-        target.scrollIntoView(scrollOptions);
+    }
 
-        // 调整头部偏移
-        setTimeout(() => {
-            const rect = target.getBoundingClientRect();
-            if (rect.top < headerOffset) {
-                const offset = rect.top - headerOffset;
-                if (supportsSmoothScroll) {
-                    window.scrollBy({ top: offset, behavior: 'smooth' });
-                } else {
-                    window.scrollBy(0, offset);
-                }
+    /**
+     * 按文档顺序查找区块之后（含区块内部）第一个可 Tab 聚焦的可见元素
+     */
+    function findNextTabbable(block) {
+        const candidates = document.querySelectorAll(TABBABLE_SELECTOR);
+        for (let i = 0; i < candidates.length; i++) {
+            const element = candidates[i];
+            if (element === blockLinkButton || element.tabIndex < 0 || element.getClientRects().length === 0) continue;
+            if (block.compareDocumentPosition(element) & Node.DOCUMENT_POSITION_FOLLOWING) {
+                return element;
             }
-        }, 100);
+        }
+        return null;
+    }
 
-        // 高亮效果
-        highlightBlock(target);
-        
-        // 更新URL
-        if (window.history && window.history.replaceState) {
-            window.history.replaceState(null, null, targetId);
+    /**
+     * 区块自身获得焦点时（键盘导航、锚点跳转），Tab 移到链接按钮
+     */
+    function handleBlockLinkTab(event) {
+        if (event.key !== 'Tab' || event.shiftKey || !blockLinkTarget) return;
+        if (document.activeElement !== blockLinkTarget) return;
+
+        event.preventDefault();
+        blockLinkButton.focus();
+    }
+
+    /**
+     * 规范化键盘导航模式
+     */
+    function normalizeKeyboardMode(mode) {
+        if (mode === 'blocks' || mode === 'headings') return mode;
+        if (mode === true || mode === '1' || mode === 1) return 'blocks';
+        return false;
+    }
+
+    /**
+     * 获取可导航的区块（仅包含可见元素）
+     */
+    function getNavigableBlocks(headingsOnly) {
+        const selector = headingsOnly ? TOC_CONFIG.headingSelector : '[id^="notion-block-"]';
+        return Array.prototype.filter.call(
+            document.querySelectorAll(selector),
+            element => element.getClientRects().length > 0
+        );
+    }
+
+    /**
+     * 计算相对当前位置的下一个/上一个区块
+     */
+    function findSiblingBlock(blocks, direction) {
+        if (blocks.length === 0) return null;
+
+        // 优先以上一次键盘跳转的区块为基准（仍在视口内时）
+        const current = keyboardCurrentId ? document.getElementById(keyboardCurrentId) : null;
+        const currentIndex = current ? blocks.indexOf(current) : -1;
+        if (currentIndex !== -1) {
+            const rect = current.getBoundingClientRect();
+            if (rect.bottom > headerOffset && rect.top < window.innerHeight) {
+                return blocks[currentIndex + direction] || null;
+            }
+        }
+
+        // 否则以头部下方的阅读线为基准
+        const line = headerOffset + 2;
+        if (direction > 0) {
+            return blocks.find(block => block.getBoundingClientRect().top > line) || null;
+        }
+        for (let i = blocks.length - 1; i >= 0; i--) {
+            if (blocks[i].getBoundingClientRect().top < line - 4) {
+                return blocks[i];
+            }
         }
+        return null;
     }
 
     /**
-     * 高亮区块
+     * 跳转到下一个/上一个区块
      */
-    function highlightBlock(element) {
-        if (!element || !element.classList) return;
-        
-        element.classList.remove('notion-block-highlight');
-        element.offsetWidth; // 强制重绘
-        element.classList.add('notion-block-highlight');
-        
-        // 使用现有的CSS动画，动画结束后自动移除类
-        element.addEventListener('animationend', function removeHighlight() {
-            element.classList.remove('notion-block-highlight');
-            element.removeEventListener('animationend', removeHighlight);
-        }, { once: true });
+    function navigateBlock(direction, headingsOnly) {
+        const target = findSiblingBlock(getNavigableBlocks(headingsOnly), direction);
+        if (!target) return null;
+
+        keyboardCurrentId = target.id;
+        scrollToAnchor('#' + target.id, 'keyboard');
+        return target;
     }
 
     /**
-     * 防抖函数
+     * 焦点是否位于可编辑元素中
      */
-    function debounce(func, wait) {
-        let timeout;
-        return function(...args) {
-            clearTimeout(timeout);
-            timeout = setTimeout(() => func.apply(this, args), wait);
+    function isEditableTarget(element) {
+        if (!element || element === document.body) return false;
+        const tagName = element.tagName;
+        return tagName === 'INPUT' || tagName === 'TEXTAREA' || tagName === 'SELECT' || element.isContentEditable;
+    }
+
+    /**
+     * 处理键盘导航
+     *
+     * j / k：下一个 / 上一个区块（headings 模式下仅标题）
+     * ] / [：下一个 / 上一个标题
+     */
+    function handleKeyboardNav(event) {
+        if (event.defaultPrevented || event.ctrlKey || event.metaKey || event.altKey) return;
+        if (isEditableTarget(event.target) || isEditableTarget(document.activeElement)) return;
+        // 灯箱打开时按键属于灯箱，不滚动页面
+        if (window.NotionLightbox && window.NotionLightbox.isOpen()) return;
+
+        const headingsOnly = ANCHOR_CONFIG.keyboardNav === 'headings';
+        let moved = null;
+        switch (event.key) {
+            case 'j':
+                moved = navigateBlock(1, headingsOnly);
+                break;
+            case 'k':
+                moved = navigateBlock(-1, headingsOnly);
+                break;
+            case ']':
+                moved = navigateBlock(1, true);
+                break;
+            case '[':
+                moved = navigateBlock(-1, true);
+                break;
+            default:
+                return;
+        }
+
+        if (moved) {
+            event.preventDefault();
+        }
+    }
+
+    /**
+     * 启用键盘导航
+     */
+    function enableKeyboardNav(mode) {
+        ANCHOR_CONFIG.keyboardNav = normalizeKeyboardMode(mode === undefined ? 'blocks' : mode) || 'blocks';
+        if (keyboardNavEnabled) return;
+
+        document.addEventListener('keydown', handleKeyboardNav);
+        keyboardNavEnabled = true;
+    }
+
+    /**
+     * 禁用键盘导航
+     */
+    function disableKeyboardNav() {
+        ANCHOR_CONFIG.keyboardNav = false;
+        keyboardCurrentId = null;
+        if (!keyboardNavEnabled) return;
+
+        document.removeEventListener('keydown', handleKeyboardNav);
+        keyboardNavEnabled = false;
+    }
+
+    /**
+     * 规范化 Notion ID 为32位无连字符小写格式
+     */
+    function compactNotionId(id) {
+        return String(id).replace(/-/g, '').toLowerCase();
+    }
+
+    /**
+     * 将32位 Notion ID 格式化为36位 UUID 格式
+     */
+    function formatNotionId(id) {
+        const compact = compactNotionId(id);
+        if (!/^[a-f0-9]{32}$/.test(compact)) return id;
+        return [
+            compact.substr(0, 8),
+            compact.substr(8, 4),
+            compact.substr(12, 4),
+            compact.substr(16, 4),
+            compact.substr(20, 12)
+        ].join('-');
+    }
+
+    /**
+     * 解析 Notion 链接中的页面ID与区块ID
+     */
+    function parseNotionLink(href) {
+        let url;
+        try {
+            url = new URL(href, window.location.href);
+        } catch (e) {
+            return null;
+        }
+        if (!/(^|\.)notion\.(so|site)$/.test(url.hostname)) return null;
+
+        const pageMatch = url.pathname.match(/([a-f0-9]{32}|[a-f0-9]{8}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{12})\/?$/i);
+        if (!pageMatch) return null;
+
+        const blockMatch = url.hash.match(/^#([a-f0-9]{32}|[a-f0-9]{8}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{12})$/i);
+        return {
+            pageId: compactNotionId(pageMatch[1]),
+            blockId: blockMatch ? formatNotionId(blockMatch[1]) : null
         };
     }
 
+    /**
+     * 查询页面的永久链接（本地映射优先，其次 AJAX 查询，结果缓存）
+     */
+    function lookupPageLinks(pageIds) {
+        const missing = pageIds.filter(pageId =>
+            !(pageId in ANCHOR_CONFIG.pageLinks) && !(pageId in pageLinkLookups)
+        );
+
+        if (missing.length > 0) {
+            const request = ANCHOR_CONFIG.ajaxUrl && window.fetch
+                ? fetchPageLinks(missing)
+                : Promise.resolve({});
+            missing.forEach(pageId => {
+                pageLinkLookups[pageId] = request.then(links => links[pageId] || null);
+            });
+        }
+
+        return Promise.all(pageIds.map(pageId =>
+            pageId in ANCHOR_CONFIG.pageLinks
+                ? Promise.resolve(ANCHOR_CONFIG.pageLinks[pageId])
+                : pageLinkLookups[pageId]
+        ));
+    }
+
+    /**
+     * 通过 AJAX 批量查询永久链接，按服务端上限分批请求
+     */
+    function fetchPageLinks(pageIds) {
+        const batchSize = ANCHOR_CONFIG.pageLinksBatchSize;
+        if (pageIds.length > batchSize) {
+            const batches = [];
+            for (let i = 0; i < pageIds.length; i += batchSize) {
+                batches.push(fetchPageLinks(pageIds.slice(i, i + batchSize)));
+            }
+            return Promise.all(batches).then(results => Object.assign({}, ...results));
+        }
+
+        const body = new URLSearchParams();
+        body.append('action', 'notion_resolve_page_links');
+        body.append('nonce', ANCHOR_CONFIG.pageLinksNonce);
+        pageIds.forEach(pageId => body.append('page_ids[]', pageId));
+
+        return fetch(ANCHOR_CONFIG.ajaxUrl, {
+            method: 'POST',
+            credentials: 'same-origin',
+            body: body
+        }).then(response => response.json()).then(result => {
+            const links = result && result.success && result.data ? result.data : {};
+            Object.keys(links).forEach(pageId => {
+                ANCHOR_CONFIG.pageLinks[compactNotionId(pageId)] = links[pageId];
+            });
+            return links;
+        }).catch(error => {
+            console.warn('Notion 页面链接查询失败:', error);
+            return {};
+        });
+    }
+
+    /**
+     * 生成解析后的链接，指向当前页面时只保留锚点
+     */
+    function buildResolvedHref(permalink, blockId) {
+        const hash = blockId ? '#notion-block-' + blockId : '';
+        try {
+            const target = new URL(permalink, window.location.href);
+            const current = window.location;
+            if (hash && target.origin === current.origin && target.pathname === current.pathname && target.search === current.search) {
+                return hash;
+            }
+        } catch (e) {
+            // 无法解析时使用完整链接
+        }
+        return permalink + hash;
+    }
+
+    /**
+     * 将 Notion 链接改写为 WordPress 永久链接
+     */
+    function applyResolvedLink(link, parsed, permalink) {
+        if (!permalink) {
+            link.dataset.notionLinkResolved = 'false';
+            return;
+        }
+
+        link.dataset.notionHref = link.getAttribute('href');
+        link.dataset.notionLinkResolved = 'true';
+        link.setAttribute('href', buildResolvedHref(permalink, parsed.blockId));
+        // 站内链接不再新开窗口
+        link.removeAttribute('target');
+    }
+
+    /**
+     * 扫描并解析页面中的 Notion 链接
+     */
+    function resolveNotionLinks(root) {
+        const links = Array.prototype.filter.call(
+            (root || document).querySelectorAll(NOTION_LINK_SELECTOR),
+            link => !link.dataset.notionLinkResolved
+        );
+        if (links.length === 0) return Promise.resolve();
+
+        const parsedLinks = links.map(link => ({ link: link, parsed: parseNotionLink(link.href) }))
+            .filter(item => item.parsed);
+        const pageIds = parsedLinks.map(item => item.parsed.pageId)
+            .filter((pageId, index, list) => list.indexOf(pageId) === index);
+
+        return lookupPageLinks(pageIds).then(permalinks => {
+            parsedLinks.forEach(item => {
+                applyResolvedLink(item.link, item.parsed, permalinks[pageIds.indexOf(item.parsed.pageId)]);
+            });
+        });
+    }
+
+    /**
+     * 渐进式加载追加记录后，解析新记录中的 Notion 链接
+     */
+    function handleProgressiveLoaded(event) {
+        resolveNotionLinks(event.target.parentNode || document);
+    }
+
+    /**
+     * 悬停或聚焦尚未解析的 Notion 链接时提前查询，覆盖自动重扫等其他方式插入的内容，
+     * 使随后的点击能直接使用改写后的地址
+     */
+    function handleNotionLinkHover(event) {
+        const link = event.target.closest ? event.target.closest(NOTION_LINK_SELECTOR) : null;
+        if (link && !link.dataset.notionLinkResolved && link.parentNode) {
+            resolveNotionLinks(link.parentNode);
+        }
+    }
+
+    /**
+     * 点击尚未解析的 Notion 链接时按已有映射同步改写，未映射则保留浏览器原生跳转
+     * （不等待 AJAX，避免用户手势失效后新窗口被拦截）
+     */
+    function handleNotionLinkClick(event) {
+        if (event.defaultPrevented || event.button !== 0 || event.ctrlKey || event.metaKey || event.shiftKey || event.altKey) return;
+
+        const link = event.target.closest(NOTION_LINK_SELECTOR);
+        if (!link || link.dataset.notionLinkResolved) return;
+
+        const parsed = parseNotionLink(link.href);
+        if (!parsed || !ANCHOR_CONFIG.pageLinks[parsed.pageId]) return;
+
+        applyResolvedLink(link, parsed, ANCHOR_CONFIG.pageLinks[parsed.pageId]);
+
+        const href = link.getAttribute('href');
+        if (href.startsWith('#notion-block-')) {
+            event.preventDefault();
+            scrollToAnchor(href, 'click');
+        }
+        // 其余情况由浏览器按改写后的 href 原生跳转
+    }
+
     /**
      * 处理锚点点击
      */
     function handleAnchorClick(event) {
-        const link = event.target.closest('a[href^="#notion-block-"]');
+        // 浏览器原生支持文本片段时，纯文本片段链接交给浏览器处理
+        const selector = 'fragmentDirective' in document
+            ? 'a[href^="#notion-block-"]'
+            : 'a[href^="#notion-block-"], a[href^="#:~:text="]';
+        const link = event.target.closest(selector);
         if (link) {
             event.preventDefault();
-            scrollToAnchor(link.getAttribute('href'));
+            scrollToAnchor(link.getAttribute('href'), 'click');
         }
     }
 
@@ -135,8 +1700,8 @@
      */
     function handleHashChange() {
         const hash = window.location.hash;
-        if (hash && hash.startsWith('#notion-block-')) {
-            scrollToAnchor(hash);
+        if (isNotionAnchor(hash)) {
+            scrollToAnchor(hash, 'hash');
         }
     }
 
@@ -144,18 +1709,41 @@
      * 初始化
      */
     function init() {
-        // 更新头部偏移
+        // 读取配置并更新头部偏移
+        loadAnchorConfig();
         updateHeaderOffset();
+        observeHeaderOffset();
         
         // 绑定事件
+        document.addEventListener('click', handleNotionLinkClick);
         document.addEventListener('click', handleAnchorClick);
+        document.addEventListener('mouseover', handleBlockHover);
+        document.addEventListener('focusin', handleBlockHover);
+        document.addEventListener('keydown', handleBlockLinkTab);
+        document.addEventListener('mouseover', handleNotionLinkHover);
+        document.addEventListener('focusin', handleNotionLinkHover);
+        document.addEventListener('notion:progressive:loaded', handleProgressiveLoaded);
         window.addEventListener('hashchange', debounce(handleHashChange, 100));
-        window.addEventListener('resize', debounce(updateHeaderOffset, 250));
+        window.addEventListener('scroll', scheduleScrollUpdate, { passive: true });
+
+        // 将跨页面的 Notion 链接改写为站内永久链接
+        resolveNotionLinks();
+
+        // 生成目录
+        buildToc();
+
+        // 阅读进度与继续阅读
+        initReadingProgress();
+
+        // 按配置启用键盘导航
+        if (ANCHOR_CONFIG.keyboardNav) {
+            enableKeyboardNav(ANCHOR_CONFIG.keyboardNav);
+        }
         
         // 处理初始hash
-        const hash = window.location.hash;
-        if (hash && hash.startsWith('#notion-block-')) {
-            setTimeout(() => scrollToAnchor(hash), 500);
+        const hash = getLocationHash();
+        if (isNotionAnchor(hash)) {
+            setTimeout(() => scrollToAnchor(hash, 'initial'), 500);
         }
     }
 
@@ -169,7 +1757,32 @@
     // 暴露API
     window.NotionToWordPressAnchor = {
         scrollToAnchor: scrollToAnchor,
-        highlightBlock: highlightBlock
+        highlightBlock: highlightBlock,
+        clearTextHighlight: clearTextHighlight,
+        copyBlockLink: copyBlockLink,
+        getBlockUrl: getBlockUrl,
+        resolveNotionLinks: resolveNotionLinks,
+        config: ANCHOR_CONFIG,
+        updateHeaderOffset: updateHeaderOffset,
+        reading: {
+            getProgress: getReadingProgress,
+            savePosition: saveReadingPosition,
+            getSavedPosition: loadReadingPosition,
+            dismissPrompt: dismissResumePrompt
+        },
+        keyboard: {
+            enable: enableKeyboardNav,
+            disable: disableKeyboardNav,
+            next: () => navigateBlock(1, ANCHOR_CONFIG.keyboardNav === 'headings'),
+            previous: () => navigateBlock(-1, ANCHOR_CONFIG.keyboardNav === 'headings')
+        },
+        toc: {
+            open: openToc,
+            close: closeToc,
+            toggle: toggleToc,
+            rebuild: buildToc,
+            destroy: destroyToc
+        }
     };
 
 })();
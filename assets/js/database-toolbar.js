@@ -0,0 +1,661 @@
+/**
+ * Notion 数据库视图工具栏脚本
+ *
+ * 为表格、画廊与看板视图添加搜索、按选项筛选与排序工具栏，无需刷新页面；
+ * 筛选状态同步到地址栏查询参数，便于分享筛选后的视图；
+ * 渐进式加载追加新记录后会自动重新索引并应用当前筛选条件。
+ *
+ * @since 2.0.0-beta.1
+ * @version 2.0.0-beta.1
+ * @package Notion_To_WordPress
+ * @author Frank-Loong
+ * @license GPL-3.0-or-later
+ * @link https://github.com/Frank-Loong/Notion-to-WordPress
+ */
+
+(function() {
+    'use strict';
+
+    const VIEW_SELECTOR = '.notion-database-table, .notion-database-gallery, .notion-database-board';
+
+    // 各视图中单条记录的选择器
+    const RECORD_SELECTORS = {
+        table: 'tbody > tr',
+        gallery: '.notion-gallery-grid > .notion-gallery-item',
+        board: '.notion-board-items > .notion-board-item'
+    };
+
+    // 标题排序键（与表头"标题"列对应）
+    const TITLE_KEY = '标题';
+    const HIDDEN_CLASS = 'notion-database-record-hidden';
+    const SEARCH_DELAY = 150;
+
+    // 视图元素 => 状态
+    const states = new Map();
+    let listenersBound = false;
+
+    /**
+     * 判断视图类型
+     */
+    function getViewType(view) {
+        if (view.classList.contains('notion-database-gallery')) return 'gallery';
+        if (view.classList.contains('notion-database-board')) return 'board';
+        return 'table';
+    }
+
+    /**
+     * 地址栏参数前缀：优先使用数据库 ID，否则按页面中的顺序编号
+     */
+    function getViewKey(view, index) {
+        const id = (view.dataset.databaseId || '').replace(/-/g, '');
+        return 'ndb-' + (id ? id.slice(0, 8) : String(index + 1));
+    }
+
+    /**
+     * 读取表头名称（标题列统一使用 TITLE_KEY）
+     */
+    function getTableHeaders(view) {
+        return Array.from(view.querySelectorAll('thead th')).map((th, index) =>
+            index === 0 ? TITLE_KEY : th.textContent.trim()
+        );
+    }
+
+    /**
+     * 解析服务端输出的 data-notion-record，旧内容没有该属性时从 DOM 推断
+     */
+    function parseRecordData(element) {
+        if (!element.dataset.notionRecord) return null;
+        try {
+            return JSON.parse(element.dataset.notionRecord);
+        } catch (e) {
+            console.warn('数据库工具栏：记录数据解析失败', e);
+            return null;
+        }
+    }
+
+    /**
+     * 从单元格中提取可筛选的选项值
+     */
+    function getCellOptions(cell) {
+        return Array.from(cell.querySelectorAll('.notion-select, .notion-status, .notion-tag, .notion-checkbox'))
+            .map(item => item.classList.contains('notion-checkbox') ? item.getAttribute('title') : item.textContent.trim())
+            .filter(Boolean);
+    }
+
+    /**
+     * 建立单条记录的索引：标题、筛选值、排序值与搜索文本
+     */
+    function indexRecord(state, element, index) {
+        const data = parseRecordData(element) || {};
+        const record = {
+            element: element,
+            index: index,
+            title: data.title || '',
+            filters: Object.assign({}, data.filters),
+            sort: Object.assign({}, data.sort),
+            cells: {}
+        };
+
+        if (state.type === 'table') {
+            Array.from(element.children).forEach((cell, cellIndex) => {
+                const name = state.headers[cellIndex];
+                if (!name) return;
+
+                record.cells[name] = cell.textContent.trim();
+                if (cellIndex === 0) {
+                    record.title = record.title || record.cells[name];
+                } else if (!data.filters) {
+                    const options = getCellOptions(cell);
+                    if (options.length > 0) record.filters[name] = options;
+                }
+            });
+        } else if (!record.title) {
+            const title = element.querySelector('.notion-gallery-title, .notion-board-title');
+            record.title = title ? title.textContent.trim() : '';
+        }
+
+        // 看板记录始终可按所在分组筛选
+        if (state.type === 'board') {
+            const header = element.closest('.notion-board-column').querySelector('.notion-board-header h5');
+            if (header && !Object.values(record.filters).some(values => values.indexOf(header.textContent) !== -1)) {
+                record.filters['分组'] = [header.textContent];
+            }
+        }
+
+        const filterText = Object.values(record.filters).reduce((all, values) => all.concat(values), []);
+        const sortText = Object.values(record.sort).filter(value => typeof value === 'string');
+        record.text = [element.textContent].concat(filterText, sortText).join(' ').toLowerCase();
+
+        return record;
+    }
+
+    /**
+     * 索引视图中的记录，已索引的记录保持原始顺序号，新追加的记录排在其后
+     */
+    function indexRecords(state) {
+        if (state.type === 'table') {
+            state.headers = getTableHeaders(state.view);
+        }
+
+        const known = new Map(state.records.map(record => [record.element, record]));
+        let nextIndex = state.records.length;
+
+        state.records = Array.from(state.view.querySelectorAll(RECORD_SELECTORS[state.type])).map(element =>
+            known.get(element) || indexRecord(state, element, nextIndex++)
+        ).sort((a, b) => a.index - b.index);
+    }
+
+    /**
+     * 汇总可筛选属性及其全部选项
+     */
+    function collectFilterOptions(state) {
+        const options = {};
+        state.records.forEach(record => {
+            Object.keys(record.filters).forEach(name => {
+                options[name] = options[name] || new Set();
+                record.filters[name].forEach(value => options[name].add(value));
+            });
+        });
+
+        Object.keys(state.filters).forEach(name => {
+            options[name] = options[name] || new Set();
+            options[name].add(state.filters[name]);
+        });
+
+        return options;
+    }
+
+    /**
+     * 汇总可排序的字段
+     */
+    function collectSortKeys(state) {
+        const keys = [TITLE_KEY];
+        const add = key => { if (keys.indexOf(key) === -1) keys.push(key); };
+
+        (state.headers || []).forEach(add);
+        state.records.forEach(record => Object.keys(record.sort).forEach(add));
+        return keys;
+    }
+
+    /**
+     * 创建带选项的下拉框
+     */
+    function createSelect(className, label, placeholder, values, selected) {
+        const select = document.createElement('select');
+        select.className = className;
+        select.setAttribute('aria-label', label);
+        fillSelect(select, placeholder, values, selected);
+        return select;
+    }
+
+    /**
+     * 重新填充下拉选项并保留当前选择
+     */
+    function fillSelect(select, placeholder, values, selected) {
+        select.textContent = '';
+        select.appendChild(new Option(placeholder, ''));
+        values.forEach(item => {
+            const value = typeof item === 'string' ? item : item.value;
+            const text = typeof item === 'string' ? item : item.label;
+            select.appendChild(new Option(text, value, false, value === selected));
+        });
+        select.value = selected || '';
+    }
+
+    /**
+     * 排序下拉选项：每个字段升序与降序各一项
+     */
+    function getSortOptions(state) {
+        return collectSortKeys(state).reduce((options, key) => options.concat([
+            { value: key + ':asc', label: key + ' ↑' },
+            { value: key + ':desc', label: key + ' ↓' }
+        ]), []);
+    }
+
+    /**
+     * 构建或更新工具栏
+     */
+    function renderToolbar(state) {
+        const filterOptions = collectFilterOptions(state);
+        const sortValue = state.sort ? state.sort.key + ':' + state.sort.direction : '';
+
+        if (!state.toolbar) {
+            const toolbar = document.createElement('div');
+            toolbar.className = 'notion-database-toolbar';
+            toolbar.setAttribute('role', 'search');
+
+            const search = document.createElement('input');
+            search.type = 'search';
+            search.className = 'notion-database-search';
+            search.placeholder = '搜索记录…';
+            search.setAttribute('aria-label', '搜索记录');
+            search.value = state.search;
+
+            const filters = document.createElement('span');
+            filters.className = 'notion-database-filters';
+
+            const sort = createSelect('notion-database-sort', '排序', '默认排序', getSortOptions(state), sortValue);
+
+            const reset = document.createElement('button');
+            reset.type = 'button';
+            reset.className = 'notion-database-reset';
+            reset.textContent = '重置';
+
+            const status = document.createElement('span');
+            status.className = 'notion-database-status';
+            status.setAttribute('role', 'status');
+            status.setAttribute('aria-live', 'polite');
+
+            const loadAll = document.createElement('button');
+            loadAll.type = 'button';
+            loadAll.className = 'notion-database-load-all';
+            loadAll.textContent = '加载全部记录';
+            loadAll.hidden = true;
+
+            toolbar.append(search, filters, sort, reset, status, loadAll);
+
+            const title = state.view.querySelector('.notion-database-title');
+            state.view.insertBefore(toolbar, title ? title.nextSibling : state.view.firstChild);
+
+            const empty = document.createElement('div');
+            empty.className = 'notion-database-no-results';
+            empty.textContent = '没有匹配的记录';
+            empty.hidden = true;
+            toolbar.after(empty);
+
+            state.toolbar = { root: toolbar, search, filters, sort, reset, status, loadAll, empty };
+            bindToolbar(state);
+        } else {
+            fillSelect(state.toolbar.sort, '默认排序', getSortOptions(state), sortValue);
+            state.toolbar.search.value = state.search;
+        }
+
+        // 每个可筛选属性一个下拉框
+        const existing = new Map(Array.from(state.toolbar.filters.children).map(select => [select.dataset.property, select]));
+        Object.keys(filterOptions).forEach(name => {
+            const values = Array.from(filterOptions[name]).sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+            let select = existing.get(name);
+            if (select) {
+                fillSelect(select, name + '：全部', values, state.filters[name]);
+                existing.delete(name);
+            } else {
+                select = createSelect('notion-database-filter', '按' + name + '筛选', name + '：全部', values, state.filters[name]);
+                select.dataset.property = name;
+                state.toolbar.filters.appendChild(select);
+            }
+        });
+        existing.forEach(select => select.remove());
+    }
+
+    /**
+     * 绑定工具栏交互
+     */
+    function bindToolbar(state) {
+        const toolbar = state.toolbar;
+        let searchTimer = null;
+
+        toolbar.search.addEventListener('input', () => {
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(() => {
+                state.search = toolbar.search.value.trim();
+                update(state);
+            }, SEARCH_DELAY);
+        });
+
+        toolbar.filters.addEventListener('change', event => {
+            const select = event.target;
+            if (select.value) {
+                state.filters[select.dataset.property] = select.value;
+            } else {
+                delete state.filters[select.dataset.property];
+            }
+            update(state);
+        });
+
+        toolbar.sort.addEventListener('change', () => {
+            state.sort = parseSort(toolbar.sort.value);
+            update(state);
+        });
+
+        toolbar.reset.addEventListener('click', () => {
+            state.search = '';
+            state.filters = {};
+            state.sort = null;
+            renderToolbar(state);
+            update(state);
+        });
+
+        toolbar.loadAll.addEventListener('click', () => {
+            const button = getProgressiveButton(state);
+            if (button && window.NotionProgressiveLoader) {
+                toolbar.loadAll.disabled = true;
+                window.NotionProgressiveLoader.loadAll(button)
+                    .catch(() => {})
+                    .then(() => { toolbar.loadAll.disabled = false; });
+            }
+        });
+
+        // 表格视图：点击表头切换排序
+        if (state.type === 'table') {
+            state.view.querySelectorAll('thead th').forEach((th, index) => {
+                th.classList.add('notion-database-sortable');
+                th.tabIndex = 0;
+                const toggle = () => {
+                    const key = index === 0 ? TITLE_KEY : th.textContent.trim();
+                    const direction = state.sort && state.sort.key === key && state.sort.direction === 'asc' ? 'desc' : 'asc';
+                    state.sort = { key: key, direction: direction };
+                    toolbar.sort.value = key + ':' + direction;
+                    update(state);
+                };
+                th.addEventListener('click', toggle);
+                th.addEventListener('keydown', event => {
+                    if (event.key === 'Enter' || event.key === ' ') {
+                        event.preventDefault();
+                        toggle();
+                    }
+                });
+            });
+        }
+    }
+
+    /**
+     * 解析 "字段:方向" 形式的排序值
+     */
+    function parseSort(value) {
+        if (!value) return null;
+        const separator = value.lastIndexOf(':');
+        if (separator <= 0) return null;
+
+        const direction = value.slice(separator + 1) === 'desc' ? 'desc' : 'asc';
+        return { key: value.slice(0, separator), direction: direction };
+    }
+
+    /**
+     * 获取记录的排序值
+     */
+    function getSortValue(record, key) {
+        if (key === TITLE_KEY) return record.title;
+        if (record.sort[key] !== undefined) return record.sort[key];
+        return record.cells[key] !== undefined ? record.cells[key] : '';
+    }
+
+    /**
+     * 比较排序值：数字按数值比较，空值始终排在最后
+     */
+    function compareValues(a, b, direction) {
+        const emptyA = a === '' || a === null || a === undefined;
+        const emptyB = b === '' || b === null || b === undefined;
+        if (emptyA || emptyB) return emptyA === emptyB ? 0 : (emptyA ? 1 : -1);
+
+        const numA = typeof a === 'number' ? a : parseFloat(a);
+        const numB = typeof b === 'number' ? b : parseFloat(b);
+        const numeric = !isNaN(numA) && !isNaN(numB) && String(numA) === String(a).trim() && String(numB) === String(b).trim();
+
+        const result = numeric ? numA - numB : String(a).localeCompare(String(b), undefined, { numeric: true });
+        return direction === 'desc' ? -result : result;
+    }
+
+    /**
+     * 判断记录是否符合搜索与筛选条件
+     */
+    function matches(state, record) {
+        const terms = state.search.toLowerCase().split(/\s+/).filter(Boolean);
+        if (terms.some(term => record.text.indexOf(term) === -1)) return false;
+
+        return Object.keys(state.filters).every(name =>
+            (record.filters[name] || []).indexOf(state.filters[name]) !== -1
+        );
+    }
+
+    /**
+     * 应用筛选与排序到 DOM
+     */
+    function applyState(state) {
+        const active = isActive(state);
+        let visible = 0;
+
+        state.records.forEach(record => {
+            const show = matches(state, record);
+            record.element.classList.toggle(HIDDEN_CLASS, !show);
+            if (show) visible++;
+        });
+
+        // 排序在各自的父容器内进行（看板按列分别排序），未排序时恢复原始顺序
+        const ordered = state.records.slice().sort((a, b) => state.sort
+            ? compareValues(getSortValue(a, state.sort.key), getSortValue(b, state.sort.key), state.sort.direction) || a.index - b.index
+            : a.index - b.index);
+        ordered.forEach(record => record.element.parentNode.appendChild(record.element));
+
+        if (state.type === 'board') {
+            state.view.querySelectorAll('.notion-board-column').forEach(column => {
+                column.classList.toggle(HIDDEN_CLASS, active && !column.querySelector('.notion-board-item:not(.' + HIDDEN_CLASS + ')'));
+            });
+        }
+
+        if (state.type === 'table') {
+            state.view.querySelectorAll('thead th').forEach((th, index) => {
+                const key = index === 0 ? TITLE_KEY : th.textContent.trim();
+                const sorted = state.sort && state.sort.key === key;
+                th.setAttribute('aria-sort', sorted ? (state.sort.direction === 'asc' ? 'ascending' : 'descending') : 'none');
+            });
+        }
+
+        updateStatus(state, visible, active);
+    }
+
+    /**
+     * 更新记录计数与"加载全部"提示
+     */
+    function updateStatus(state, visible, active) {
+        const toolbar = state.toolbar;
+        const remaining = getRemainingCount(state);
+
+        let text = active
+            ? '显示 ' + visible + ' / ' + state.records.length + ' 条记录'
+            : '共 ' + state.records.length + ' 条记录';
+        if (remaining > 0) {
+            text += '（另有 ' + remaining + ' 条未加载）';
+        }
+
+        toolbar.status.textContent = text;
+        toolbar.loadAll.hidden = !(active && remaining > 0);
+        toolbar.empty.hidden = visible > 0 || state.records.length === 0;
+        toolbar.reset.disabled = !active && !state.sort;
+    }
+
+    /**
+     * 视图之后的渐进式加载容器
+     */
+    function getProgressiveContainer(state) {
+        const next = state.view.nextElementSibling;
+        return next && next.classList.contains('notion-progressive-loading') ? next : null;
+    }
+
+    function getProgressiveButton(state) {
+        const container = getProgressiveContainer(state);
+        return container ? container.querySelector('.notion-load-more-btn') : null;
+    }
+
+    function getRemainingCount(state) {
+        const container = getProgressiveContainer(state);
+        if (!container || container.classList.contains('notion-progressive-complete')) return 0;
+        return parseInt(container.dataset.remaining, 10) || 0;
+    }
+
+    function isActive(state) {
+        return state.search !== '' || Object.keys(state.filters).length > 0;
+    }
+
+    /**
+     * 转义筛选属性名中的 % 与冒号，使名称与值之间的冒号分隔无歧义
+     */
+    function encodeFilterName(name) {
+        return name.replace(/%/g, '%25').replace(/:/g, '%3A');
+    }
+
+    /**
+     * 从地址栏读取视图状态
+     */
+    function readUrl(state) {
+        const params = new URLSearchParams(window.location.search);
+        state.search = params.get(state.key + '-q') || '';
+        state.sort = parseSort(params.get(state.key + '-sort'));
+        state.filters = {};
+        // 属性名中的 % 与冒号经过转义（见 encodeFilterName），值保持原样（可含冒号）
+        params.getAll(state.key + '-f').forEach(value => {
+            const separator = value.indexOf(':');
+            if (separator <= 0) return;
+
+            try {
+                state.filters[decodeURIComponent(value.slice(0, separator))] = value.slice(separator + 1);
+            } catch (e) {
+                console.warn('数据库工具栏：无法解析筛选条件', value);
+            }
+        });
+    }
+
+    /**
+     * 将视图状态写回地址栏（替换当前历史记录，不产生新条目）
+     */
+    function writeUrl(state) {
+        if (!window.history || !window.history.replaceState) return;
+
+        const params = new URLSearchParams(window.location.search);
+        params.delete(state.key + '-q');
+        params.delete(state.key + '-sort');
+        params.delete(state.key + '-f');
+
+        if (state.search) params.set(state.key + '-q', state.search);
+        if (state.sort) params.set(state.key + '-sort', state.sort.key + ':' + state.sort.direction);
+        Object.keys(state.filters).forEach(name => params.append(state.key + '-f', encodeFilterName(name) + ':' + state.filters[name]));
+
+        const query = params.toString();
+        const url = window.location.pathname + (query ? '?' + query : '') + window.location.hash;
+        window.history.replaceState(window.history.state, '', url);
+    }
+
+    /**
+     * 状态变更：应用到 DOM、写入地址栏并派发事件
+     */
+    function update(state) {
+        applyState(state);
+        writeUrl(state);
+
+        state.view.dispatchEvent(new CustomEvent('notion:database:filter', {
+            bubbles: true,
+            detail: getState(state.view)
+        }));
+    }
+
+    /**
+     * 增强单个数据库视图
+     */
+    function enhance(view) {
+        if (states.has(view) || view.dataset.toolbar === 'false') return states.get(view) || null;
+
+        const state = {
+            view: view,
+            type: getViewType(view),
+            key: getViewKey(view, states.size),
+            records: [],
+            headers: null,
+            search: '',
+            filters: {},
+            sort: null,
+            toolbar: null
+        };
+
+        states.set(view, state);
+        view.classList.add('notion-database-enhanced');
+        readUrl(state);
+        indexRecords(state);
+        renderToolbar(state);
+        applyState(state);
+        return state;
+    }
+
+    /**
+     * 重新索引视图记录（如渐进式加载追加记录后）并应用当前条件
+     */
+    function refresh(view) {
+        const state = states.get(view);
+        if (!state) return;
+
+        indexRecords(state);
+        renderToolbar(state);
+        applyState(state);
+    }
+
+    /**
+     * 获取视图当前的搜索、筛选与排序条件
+     */
+    function getState(view) {
+        const state = states.get(view);
+        if (!state) return null;
+
+        return {
+            search: state.search,
+            filters: Object.assign({}, state.filters),
+            sort: state.sort ? Object.assign({}, state.sort) : null,
+            total: state.records.length,
+            visible: state.records.filter(record => !record.element.classList.contains(HIDDEN_CLASS)).length
+        };
+    }
+
+    /**
+     * 以编程方式设置条件，未提供的字段保持不变
+     */
+    function setState(view, changes) {
+        const state = states.get(view);
+        if (!state || !changes) return;
+
+        if (typeof changes.search === 'string') state.search = changes.search.trim();
+        if (changes.filters) state.filters = Object.assign({}, changes.filters);
+        if (changes.sort !== undefined) state.sort = changes.sort ? { key: changes.sort.key, direction: changes.sort.direction === 'desc' ? 'desc' : 'asc' } : null;
+
+        renderToolbar(state);
+        update(state);
+    }
+
+    /**
+     * 初始化：增强页面中的全部数据库视图
+     */
+    function init() {
+        document.querySelectorAll(VIEW_SELECTOR).forEach(enhance);
+
+        if (listenersBound) return;
+        listenersBound = true;
+
+        // 渐进式加载完成后重新索引对应视图
+        document.addEventListener('notion:progressive:loaded', event => {
+            const container = event.target.closest('.notion-progressive-loading');
+            const view = container && container.previousElementSibling;
+            if (view && states.has(view)) refresh(view);
+        });
+
+        // 前进/后退时按地址栏恢复状态
+        window.addEventListener('popstate', () => {
+            states.forEach(state => {
+                readUrl(state);
+                renderToolbar(state);
+                applyState(state);
+            });
+        });
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+
+    // 暴露全局方法
+    window.NotionDatabaseToolbar = {
+        init: init,
+        enhance: enhance,
+        refresh: refresh,
+        getState: getState,
+        setState: setState
+    };
+
+})();
@@ -2,6 +2,11 @@
  * KaTeX 和 Mermaid 渲染脚本
  * 
  * 负责渲染 Notion 页面中的 LaTeX 数学公式和 Mermaid.js 图表，并提供资源加载失败时的备用方案。
+ * 公式按视口延迟渲染：接近视口的公式优先渲染，其余在浏览器空闲时分批完成，渲染前以预留高度的占位避免布局跳动。
+ * 公式宏依次合并插件设置（window.notionKatexConfig）与文章内 data-katex-macros 定义，启用 globalGroup 时同页公式共享宏定义。
+ * 安全策略（strict / balanced / permissive）决定允许的命令、链接协议及尺寸/展开上限，被拦截的公式会输出到控制台并上报到后台。
+ * 渲染后的公式带有 MathML 与读屏文本（aria-label），右键或键盘菜单键可复制 LaTeX / MathML 源码。
+ * 块级公式按文档顺序编号（支持 \tag{} 覆盖与 \label{}），\eqref{label} / (eq:label) 引用会转换为跳转到公式的锚点链接。
  * 
  * @since 1.0.8
  * @version 2.0.0-beta.1
@@ -104,7 +109,7 @@ const ResourceFallbackManager = {
 
                         console.log('✅ [Notion to WordPress] KaTeX备用资源加载完成，重新尝试渲染数学公式');
                         // 重新尝试渲染
-                        setTimeout(renderAllKatex, 100);
+                        setTimeout(scheduleKatexRendering, 100);
                     });
                 });
             });
@@ -145,22 +150,744 @@ const ResourceFallbackManager = {
 /* ---------------- KaTeX 渲染 ---------------- */
 const katexOptions = {
     throwOnError: false,    // 遇到错误时不抛出异常，而是显示错误信息
-    strict: false,          // 🔓 宽松模式：允许Unicode字符和非标准LaTeX语法
-    trust: true,            // 🔓 信任模式：允许HTML、CSS和URL等
+    strict: false,          // 非标准LaTeX语法处理方式，由安全策略覆盖
+    trust: false,           // 由安全策略的 trust 回调按命令/协议白名单放行
     fleqn: false,           // 不强制左对齐（保持居中）
     colorIsTextColor: false, // 颜色不影响文本颜色
-    macros: {},             // 自定义宏定义（可扩展）
-    globalGroup: false,     // 不使用全局组（避免宏污染）
-    maxSize: Infinity,      // 🔓 无限制字体大小
-    maxExpand: 1000,        // 🔓 宏展开次数限制（宽松设置）
+    macros: {},             // 自定义宏定义（首次渲染时由 getKatexMacros() 填充）
+    globalGroup: false,     // 默认不使用全局组（避免宏污染），可在插件设置中开启
+    maxSize: 20,            // 字体尺寸上限（em），由安全策略覆盖
+    maxExpand: 500,         // 宏展开次数上限，由安全策略覆盖
     errorColor: "#cc0000",  // 错误信息颜色
-    output: "html"          // 输出HTML格式
+    output: "htmlAndMathml" // 同时输出 MathML 供读屏软件使用，可在插件设置中关闭
 };
 
 
 
-// 渲染单个元素
-function renderKatexElement(el) {
+/* ---------------- 公式宏 ---------------- */
+const katexConfig = window.notionKatexConfig || {};
+katexOptions.globalGroup = !!katexConfig.globalGroup;
+
+const MACRO_NAME_PATTERN = /^\\(?:[A-Za-z@]+|[^A-Za-z@\s])$/;
+const MACRO_DEFINITION_PATTERN = /\\(?:gdef|xdef|global|newcommand|renewcommand|providecommand|def)\b/;
+let katexMacrosLoaded = false;
+
+/**
+ * 读取从 start 位置开始的花括号分组，返回 {content, end}，括号不配对时返回 null
+ */
+function readBraceGroup(text, start) {
+    let depth = 0;
+    for (let i = start; i < text.length; i++) {
+        const char = text[i];
+        if (char === '\\') {
+            i++;
+        } else if (char === '{') {
+            depth++;
+        } else if (char === '}') {
+            depth--;
+            if (depth === 0) {
+                return { content: text.slice(start + 1, i), end: i + 1 };
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * 检查展开内容的花括号是否配对
+ */
+function isBalanced(text) {
+    const group = readBraceGroup('{' + text + '}', 0);
+    return group !== null && group.end === text.length + 2;
+}
+
+/**
+ * 解析 LaTeX 宏定义：\newcommand{\R}{\mathbb{R}}、\renewcommand、\def\R{...}
+ */
+function parseTexMacroDefinitions(text, source) {
+    const macros = {};
+    const pattern = /\\(?:re|provide)?newcommand\*?\s*\{?\s*(\\[A-Za-z@]+)\s*\}?\s*(?:\[\d\])?\s*(?=\{)|\\[gex]?def\s*(\\[A-Za-z@]+)\s*(?:#\d)*\s*(?=\{)/g;
+    let match;
+
+    while ((match = pattern.exec(text))) {
+        const group = readBraceGroup(text, pattern.lastIndex);
+        if (!group) {
+            console.warn(`[Notion to WordPress] KaTeX 宏定义括号不配对（${source}）:`, match[0]);
+            break;
+        }
+        macros[match[1] || match[2]] = group.content;
+        pattern.lastIndex = group.end;
+    }
+
+    return macros;
+}
+
+/**
+ * 校验宏表：名称须为控制序列、展开须为字符串且括号配对，无效项记录警告后跳过
+ */
+function validateMacros(source, label) {
+    const macros = {};
+    if (!source || typeof source !== 'object' || Array.isArray(source)) {
+        if (source) console.warn(`[Notion to WordPress] KaTeX 宏必须是对象（${label}）`);
+        return macros;
+    }
+
+    Object.keys(source).forEach(key => {
+        const name = key.trim().charAt(0) === '\\' ? key.trim() : '\\' + key.trim();
+        const expansion = source[key];
+
+        if (!MACRO_NAME_PATTERN.test(name)) {
+            console.warn(`[Notion to WordPress] 忽略无效的 KaTeX 宏名称（${label}）:`, key);
+        } else if (typeof expansion !== 'string' && typeof expansion !== 'number') {
+            console.warn(`[Notion to WordPress] 忽略无效的 KaTeX 宏展开（${label}）:`, key);
+        } else if (!isBalanced(String(expansion))) {
+            console.warn(`[Notion to WordPress] 忽略括号不配对的 KaTeX 宏（${label}）:`, key);
+        } else {
+            macros[name] = String(expansion);
+        }
+    });
+
+    return macros;
+}
+
+/**
+ * 解析文章内的宏定义：JSON 对象或 LaTeX 定义语句
+ */
+function parseMacroSource(text, label) {
+    const source = (text || '').trim();
+    if (!source) return {};
+
+    if (source.charAt(0) === '{') {
+        try {
+            return validateMacros(JSON.parse(source), label);
+        } catch (e) {
+            // 不是 JSON，按 LaTeX 定义解析
+        }
+    }
+    return validateMacros(parseTexMacroDefinitions(source, label), label);
+}
+
+/**
+ * 按顺序合并宏：插件设置 → 文章内 data-katex-macros（文档顺序，后者覆盖前者）
+ */
+function getKatexMacros() {
+    if (katexMacrosLoaded) return katexOptions.macros;
+
+    const macros = validateMacros(katexConfig.macros, '插件设置');
+    document.querySelectorAll('[data-katex-macros]').forEach((el, index) => {
+        Object.assign(macros, parseMacroSource(el.getAttribute('data-katex-macros'), '文章宏 #' + (index + 1)));
+    });
+
+    // 保持同一对象引用：启用 globalGroup 时 KaTeX 会把 \gdef 等定义写回该对象，供后续公式共享
+    Object.keys(katexOptions.macros).forEach(name => delete katexOptions.macros[name]);
+    Object.assign(katexOptions.macros, macros);
+    katexMacrosLoaded = true;
+
+    const count = Object.keys(macros).length;
+    if (count > 0) {
+        console.log(`📐 [Notion to WordPress] 已加载 ${count} 个 KaTeX 宏`);
+    }
+    return katexOptions.macros;
+}
+
+/**
+ * 重新读取宏定义（如动态插入了带 data-katex-macros 的内容）
+ */
+function reloadKatexMacros() {
+    katexMacrosLoaded = false;
+    return getKatexMacros();
+}
+
+/* ---------------- 公式安全策略 ---------------- */
+// 各策略允许的命令、链接协议、LaTeX 严格模式与尺寸/展开上限；javascript: 等协议在任何策略下都不会放行
+const KATEX_SECURITY_PROFILES = {
+    strict: {
+        commands: [],
+        protocols: [],
+        strict: 'warn',
+        maxSize: 10,
+        maxExpand: 100
+    },
+    balanced: {
+        commands: ['\\href', '\\url'],
+        protocols: ['http', 'https', 'mailto'],
+        strict: false,
+        maxSize: 20,
+        maxExpand: 500
+    },
+    permissive: {
+        commands: ['\\href', '\\url', '\\includegraphics', '\\htmlClass', '\\htmlId', '\\htmlStyle', '\\htmlData'],
+        protocols: ['http', 'https', 'mailto', '_relative'],
+        strict: false,
+        maxSize: 50,
+        maxExpand: 1000
+    }
+};
+
+const katexSecurityProfile = KATEX_SECURITY_PROFILES[katexConfig.securityProfile]
+    ? katexConfig.securityProfile
+    : 'balanced';
+const katexSecurity = KATEX_SECURITY_PROFILES[katexSecurityProfile];
+katexOptions.maxSize = katexSecurity.maxSize;
+katexOptions.maxExpand = katexSecurity.maxExpand;
+katexOptions.strict = katexSecurity.strict;
+
+const katexBlockedFormulas = [];
+const KATEX_REPORT_LIMIT = 10; // 每个页面最多上报的拦截记录数
+let katexReportQueue = [];
+let katexReportTimer = null;
+let katexReportedCount = 0;
+
+/**
+ * 创建 trust 回调：按当前策略放行命令，被拒绝的上下文记录到 blocked 中
+ */
+function createKatexTrust(blocked) {
+    return function(context) {
+        const allowed = katexSecurity.commands.indexOf(context.command) !== -1 &&
+            (!context.url || katexSecurity.protocols.indexOf(context.protocol) !== -1);
+
+        if (!allowed) {
+            blocked.push(context.url
+                ? `${context.command} (${context.protocol === '_relative' ? '相对地址' : context.protocol + ':'})`
+                : context.command);
+        }
+        return allowed;
+    };
+}
+
+/**
+ * 记录被拦截的公式：标记元素、输出到控制台并加入上报队列
+ */
+function reportBlockedKatex(el, tex, blocked) {
+    const error = el.querySelector('.katex-error');
+    if (error && /Too many expansions/.test(error.getAttribute('title') || '')) {
+        blocked.push(`maxExpand (${katexSecurity.maxExpand})`);
+    }
+    // 重新渲染（如重新编号）时不重复记录
+    if (blocked.length === 0 || el.classList.contains('katex-blocked')) return;
+
+    const reasons = blocked.filter((reason, index) => blocked.indexOf(reason) === index);
+    el.classList.add('katex-blocked');
+    el.setAttribute('title', '部分内容已被公式安全策略拦截：' + reasons.join('、'));
+    console.warn(`🛡️ [Notion to WordPress] 公式安全策略（${katexSecurityProfile}）拦截了:`, reasons.join(', '), '公式:', tex);
+
+    const report = { tex: tex, blocked: reasons };
+    katexBlockedFormulas.push(report);
+    katexReportQueue.push(report);
+
+    if (katexReportTimer === null) {
+        katexReportTimer = setTimeout(flushBlockedKatexReports, 2000);
+    }
+}
+
+/**
+ * 将队列中的拦截记录批量上报到后台
+ */
+function flushBlockedKatexReports() {
+    katexReportTimer = null;
+    const reports = katexReportQueue.slice(0, KATEX_REPORT_LIMIT - katexReportedCount);
+    katexReportQueue = [];
+    katexReportedCount += reports.length;
+
+    // 仅在文章页上报，服务端会核对公式是否属于该文章
+    const postId = parseInt(katexConfig.postId, 10) || 0;
+    if (reports.length === 0 || !katexConfig.reportUrl || !katexConfig.reportNonce || postId <= 0) return;
+
+    const body = new FormData();
+    body.append('action', 'notion_report_blocked_formulas');
+    body.append('nonce', katexConfig.reportNonce);
+    body.append('post_id', String(postId));
+    body.append('profile', katexSecurityProfile);
+    body.append('formulas', JSON.stringify(reports));
+
+    fetch(katexConfig.reportUrl, {
+        method: 'POST',
+        credentials: 'same-origin',
+        keepalive: true,
+        body: body
+    }).catch(error => {
+        console.warn('⚠️ [Notion to WordPress] 公式拦截记录上报失败:', error);
+    });
+}
+
+/* ---------------- 公式无障碍 ---------------- */
+// 默认同时输出 MathML 供读屏软件使用，可在插件设置中改为仅 HTML
+katexOptions.output = katexConfig.output === 'html' ? 'html' : 'htmlAndMathml';
+
+// 读屏文本中的符号读法
+const SPEECH_SYMBOLS = {
+    alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ε', varepsilon: 'ε', zeta: 'ζ', eta: 'η',
+    theta: 'θ', iota: 'ι', kappa: 'κ', lambda: 'λ', mu: 'μ', nu: 'ν', xi: 'ξ', pi: 'π', rho: 'ρ',
+    sigma: 'σ', tau: 'τ', upsilon: 'υ', phi: 'φ', varphi: 'φ', chi: 'χ', psi: 'ψ', omega: 'ω',
+    Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ', Xi: 'Ξ', Pi: 'Π', Sigma: 'Σ', Phi: 'Φ', Psi: 'Ψ', Omega: 'Ω',
+    times: '乘', cdot: '乘', div: '除以', pm: '正负', mp: '负正',
+    le: '小于等于', leq: '小于等于', ge: '大于等于', geq: '大于等于', neq: '不等于', ne: '不等于',
+    approx: '约等于', equiv: '恒等于', sim: '相似于', propto: '正比于',
+    infty: '无穷大', to: '趋于', rightarrow: '趋于', Rightarrow: '推出', Leftrightarrow: '当且仅当',
+    in: '属于', notin: '不属于', subset: '包含于', subseteq: '包含于', cup: '并', cap: '交', emptyset: '空集',
+    forall: '对任意', exists: '存在', partial: '偏', nabla: '梯度', angle: '角', degree: '度',
+    sum: '求和', prod: '求积', int: '积分', oint: '环路积分', lim: '极限', log: 'log', ln: 'ln',
+    sin: 'sin', cos: 'cos', tan: 'tan', exp: 'exp', max: '最大值', min: '最小值', ldots: '省略号', cdots: '省略号'
+};
+
+// 按从内到外的顺序改写结构命令，每轮只处理不含嵌套花括号的分组
+const SPEECH_PATTERNS = [
+    [/\\(sum|prod|int|oint)\s*_\s*(\{[^{}]*\}|[A-Za-z0-9])\s*\^\s*(\{[^{}]*\}|\\[A-Za-z]+|[A-Za-z0-9])/g, ' 从 $2 到 $3 \\$1 '],
+    [/\\[dt]?frac\s*\{([^{}]*)\}\s*\{([^{}]*)\}/g, ' $2 分之 $1 '],
+    [/\\sqrt\s*\[([^\[\]]*)\]\s*\{([^{}]*)\}/g, ' $1 次根号 $2 '],
+    [/\\sqrt\s*\{([^{}]*)\}/g, ' 根号 $1 '],
+    [/\^\s*(?:2(?!\d)|\{\s*2\s*\})/g, ' 的平方 '],
+    [/\^\s*(?:3(?!\d)|\{\s*3\s*\})/g, ' 的立方 '],
+    [/\^\s*\{([^{}]*)\}/g, ' 的 $1 次方 '],
+    [/\^\s*(\\[A-Za-z]+|[A-Za-z0-9])/g, ' 的 $1 次方 '],
+    [/_\s*\{([^{}]*)\}/g, ' 下标 $1 '],
+    [/_\s*(\\[A-Za-z]+|[A-Za-z0-9])/g, ' 下标 $1 '],
+    [/\\tag\*?\s*\{([^{}]*)\}/g, '，编号 $1 '],
+    [/\\(?:notag|nonumber)\b/g, ' '],
+    [/\\(?:text|mathrm|mathbf|mathit|mathbb|mathcal|mathsf|boldsymbol|operatorname|overline|hat|vec|bar)\s*\{([^{}]*)\}/g, ' $1 ']
+];
+
+/**
+ * 将 TeX 转换为简单的中文朗读文本，无法识别的命令保留命令名
+ */
+function texToSpeech(tex) {
+    let text = tex.replace(/(^|[^\\])%.*$/gm, '$1');
+    for (let i = 0; i < 20; i++) {
+        const previous = text;
+        SPEECH_PATTERNS.forEach(([pattern, replacement]) => {
+            text = text.replace(pattern, replacement);
+        });
+        if (text === previous) break;
+    }
+
+    return text
+        .replace(/\\\\|&/g, '，')
+        .replace(/\\(?:left|right|big|Big|bigg|Bigg)\b/g, '')
+        .replace(/\\[,;:! ]|~/g, ' ')
+        .replace(/\\([A-Za-z]+)/g, (match, name) => ` ${SPEECH_SYMBOLS[name] || name} `)
+        .replace(/=/g, ' 等于 ')
+        .replace(/\+/g, ' 加 ')
+        .replace(/-/g, ' 减 ')
+        .replace(/</g, ' 小于 ')
+        .replace(/>/g, ' 大于 ')
+        .replace(/[{}]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * 为已渲染公式添加读屏文本，并允许键盘聚焦以打开复制菜单
+ */
+function applyKatexAccessibility(el, tex) {
+    let label = tex;
+    if (katexConfig.ariaLabel !== 'tex') {
+        const spoken = resolveEquationReferences(tex.replace(EQUATION_LABEL_PATTERN, ''), (target, isEqref) =>
+            target ? ` 公式 ${formatEquationReference(target, isEqref)} ` : ' 未知公式 '
+        );
+        label = texToSpeech(spoken) || tex;
+    }
+    if (el.getAttribute('data-equation-tag') === 'auto') {
+        label += `，编号 ${el.getAttribute('data-equation-number')}`;
+    }
+
+    el.setAttribute('data-tex', tex);
+    el.setAttribute('role', 'math');
+    el.setAttribute('aria-label', label);
+    el.setAttribute('aria-haspopup', 'menu');
+    el.setAttribute('tabindex', '0');
+}
+
+/**
+ * 获取公式的 MathML：优先使用已输出的 MathML，仅 HTML 输出时按需生成
+ */
+function getKatexMathml(el) {
+    const math = el.querySelector('math');
+    if (math) return math.outerHTML;
+
+    const tex = el.getAttribute('data-tex');
+    if (!tex || !checkKatexLoaded()) return '';
+
+    const container = document.createElement('span');
+    container.innerHTML = window.katex.renderToString(tex, {
+        displayMode: el.classList.contains('notion-equation-block'),
+        ...katexOptions,
+        macros: Object.assign({}, getKatexMacros()),
+        trust: createKatexTrust([]),
+        output: 'mathml'
+    });
+    const generated = container.querySelector('math');
+    return generated ? generated.outerHTML : '';
+}
+
+/**
+ * 复制文本到剪贴板（委托给前端公共工具）
+ */
+function copyKatexText(text) {
+    const utils = window.NotionToWordPressUtils;
+    return utils ? utils.copyText(text) : Promise.reject(new Error('前端公共工具未加载'));
+}
+
+/**
+ * 显示提示消息（委托给前端公共工具）
+ */
+function showKatexToast(message) {
+    const utils = window.NotionToWordPressUtils;
+    if (utils) {
+        utils.showToast(message, 2000);
+    }
+}
+
+/* ---------------- 公式复制菜单 ---------------- */
+const KATEX_MENU_ACTIONS = [
+    { label: '复制 LaTeX', name: 'LaTeX', getText: el => el.getAttribute('data-tex') || '' },
+    { label: '复制 MathML', name: 'MathML', getText: getKatexMathml }
+];
+
+let katexMenu = null;
+let katexMenuTarget = null;
+
+function createKatexMenu() {
+    katexMenu = document.createElement('div');
+    katexMenu.className = 'notion-katex-menu';
+    katexMenu.setAttribute('role', 'menu');
+    katexMenu.setAttribute('aria-label', '公式操作');
+    katexMenu.hidden = true;
+
+    KATEX_MENU_ACTIONS.forEach(action => {
+        const item = document.createElement('button');
+        item.type = 'button';
+        item.className = 'notion-katex-menu-item';
+        item.setAttribute('role', 'menuitem');
+        item.setAttribute('tabindex', '-1');
+        item.textContent = action.label;
+        item.addEventListener('click', () => runKatexMenuAction(action));
+        katexMenu.appendChild(item);
+    });
+
+    // 提示再次右键可使用浏览器自带菜单
+    const hint = document.createElement('div');
+    hint.className = 'notion-katex-menu-hint';
+    hint.setAttribute('role', 'none');
+    hint.textContent = '再次右键打开浏览器菜单';
+    katexMenu.appendChild(hint);
+
+    katexMenu.addEventListener('keydown', handleKatexMenuKeydown);
+    document.body.appendChild(katexMenu);
+}
+
+function openKatexMenu(el, x, y) {
+    if (!katexMenu) createKatexMenu();
+
+    katexMenuTarget = el;
+    katexMenu.hidden = false;
+
+    // 保持菜单在视口内
+    const rect = katexMenu.getBoundingClientRect();
+    katexMenu.style.left = Math.max(0, Math.min(x, window.innerWidth - rect.width)) + 'px';
+    katexMenu.style.top = Math.max(0, Math.min(y, window.innerHeight - rect.height)) + 'px';
+    katexMenu.querySelector('[role="menuitem"]').focus();
+}
+
+function closeKatexMenu(restoreFocus) {
+    if (!katexMenu || katexMenu.hidden) return;
+
+    katexMenu.hidden = true;
+    if (restoreFocus && katexMenuTarget) {
+        katexMenuTarget.focus();
+    }
+    katexMenuTarget = null;
+}
+
+function runKatexMenuAction(action) {
+    const target = katexMenuTarget;
+    closeKatexMenu(true);
+    if (!target) return;
+
+    const text = action.getText(target);
+    if (!text) {
+        showKatexToast(`❌ 无法获取公式的 ${action.name}`);
+        return;
+    }
+
+    copyKatexText(text)
+        .then(() => showKatexToast(`✅ ${action.name} 已复制到剪贴板`))
+        .catch(error => {
+            console.error('复制失败:', error);
+            showKatexToast('❌ 复制失败，请手动复制');
+        });
+}
+
+function handleKatexMenuKeydown(e) {
+    const items = Array.from(katexMenu.querySelectorAll('[role="menuitem"]'));
+    const index = items.indexOf(document.activeElement);
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        items[(index + step + items.length) % items.length].focus();
+    } else if (e.key === 'Home' || e.key === 'End') {
+        e.preventDefault();
+        items[e.key === 'Home' ? 0 : items.length - 1].focus();
+    } else if (e.key === 'Escape') {
+        e.preventDefault();
+        closeKatexMenu(true);
+    } else if (e.key === 'Tab') {
+        closeKatexMenu(false);
+    }
+}
+
+// 右键或键盘菜单键/Shift+F10 打开复制菜单；菜单已打开时再次右键（或按住 Shift）保留浏览器菜单
+document.addEventListener('contextmenu', e => {
+    const el = e.target.closest && e.target.closest('.katex-rendered[data-tex]');
+    if (!el || e.shiftKey) return;
+
+    if (katexMenu && !katexMenu.hidden && katexMenuTarget === el) {
+        closeKatexMenu(false);
+        return;
+    }
+
+    e.preventDefault();
+    openKatexMenu(el, e.clientX, e.clientY);
+});
+
+document.addEventListener('keydown', e => {
+    const el = e.target.closest && e.target.closest('.katex-rendered[data-tex]');
+    if (!el || !(e.key === 'ContextMenu' || (e.key === 'F10' && e.shiftKey))) return;
+
+    e.preventDefault();
+    const rect = el.getBoundingClientRect();
+    openKatexMenu(el, rect.left, rect.bottom);
+});
+
+document.addEventListener('pointerdown', e => {
+    if (!katexMenu || katexMenu.hidden || katexMenu.contains(e.target)) return;
+    // 在同一公式上再次右键时由 contextmenu 处理，以便放行浏览器菜单
+    if (e.button === 2 && katexMenuTarget && katexMenuTarget.contains(e.target)) return;
+
+    closeKatexMenu(false);
+});
+
+window.addEventListener('scroll', () => closeKatexMenu(false), { passive: true });
+
+/* ---------------- 公式编号与引用 ---------------- */
+const EQUATION_LABEL_PATTERN = /\\label\s*\{([^{}]*)\}/g;
+const EQUATION_TAG_PATTERN = /\\tag(\*?)\s*\{([^{}]*)\}/;
+const EQUATION_NOTAG_PATTERN = /\\(?:notag|nonumber)\b/;
+// equation、align 等非星号环境由 KaTeX 自行编号，不再追加 \tag
+const NUMBERED_ENVIRONMENT_PATTERN = /\\begin\s*\{(?:equation|align|alignat|gather|multline)\}/;
+const EQUATION_REF_PATTERN = /\\(eqref|ref)\s*\{([^{}]*)\}|\(eq:([^()\s]+)\)/g;
+const EQUATION_REF_TEST = /\\(?:eq)?ref\s*\{|\(eq:/;
+const EQUATION_REF_SKIP_SELECTOR = 'a, code, pre, script, style, textarea, title, .katex, .notion-equation-inline, .notion-equation-block, [data-katex-macros]';
+
+const katexEquationLabels = {}; // 标签 => { id, number, starred }
+
+/**
+ * 按文档顺序为块级公式编号：\tag{} 覆盖编号，\notag / \nonumber 跳过；
+ * 未开启自动编号时只为带 \label{} 的公式编号
+ *
+ * 返回编号发生变化的已渲染公式（编号在渲染时写入公式，需要重新渲染）
+ */
+function updateEquationNumbers() {
+    Object.keys(katexEquationLabels).forEach(label => delete katexEquationLabels[label]);
+    const changed = [];
+    let counter = 0;
+
+    document.querySelectorAll('.notion-equation-block').forEach(el => {
+        const tex = el.getAttribute('data-tex') || extractKatexTex(el);
+        const previous = el.getAttribute('data-equation-number') || '';
+        const labels = Array.from(tex.matchAll(EQUATION_LABEL_PATTERN), match => match[1].trim()).filter(Boolean);
+        const tag = tex.match(EQUATION_TAG_PATTERN);
+        let number = '';
+
+        if (tag) {
+            number = tag[2].trim();
+            el.setAttribute('data-equation-tag', tag[1] ? 'tag*' : 'tag');
+        } else if (!EQUATION_NOTAG_PATTERN.test(tex) && !NUMBERED_ENVIRONMENT_PATTERN.test(tex) &&
+            (katexConfig.equationNumbering || labels.length > 0)) {
+            number = String(++counter);
+            el.setAttribute('data-equation-tag', 'auto');
+        } else {
+            el.removeAttribute('data-equation-tag');
+        }
+
+        if (number !== previous && el.classList.contains('katex-rendered')) {
+            changed.push(el);
+        }
+        if (!number) {
+            el.removeAttribute('data-equation-number');
+            return;
+        }
+        el.setAttribute('data-equation-number', number);
+
+        if (!el.id) {
+            el.id = 'notion-block-equation-' + (labels[0] || number).replace(/[^\w-]/g, '-');
+        }
+
+        labels.forEach(label => {
+            if (katexEquationLabels[label]) {
+                console.warn(`⚠️ [Notion to WordPress] 公式标签重复: ${label}，引用将指向第一个公式`);
+                return;
+            }
+            katexEquationLabels[label] = { id: el.id, number: number, starred: !!(tag && tag[1]) };
+        });
+    });
+
+    return changed;
+}
+
+/**
+ * 重新编号并同步已渲染内容：编号或引用目标变化的公式重新渲染，正文引用链接更新，
+ * root 内新出现的正文引用转换为链接
+ */
+function refreshEquationNumbers(root) {
+    const previous = JSON.stringify(katexEquationLabels);
+    const changed = updateEquationNumbers();
+    const labelsChanged = JSON.stringify(katexEquationLabels) !== previous;
+
+    if (labelsChanged) {
+        document.querySelectorAll('.katex-rendered[data-tex]').forEach(el => {
+            if (changed.indexOf(el) === -1 && EQUATION_REF_TEST.test(el.getAttribute('data-tex'))) {
+                changed.push(el);
+            }
+        });
+        updateEquationReferenceLinks();
+    }
+
+    changed.forEach(renderKatexElement);
+
+    if (labelsChanged) {
+        linkEquationReferences(document);
+    } else if (root) {
+        linkEquationReferences(root);
+    }
+}
+
+/**
+ * 替换 TeX 中的公式引用，format(target, isEqref, label) 返回替换内容，未知标签时 target 为 null
+ */
+function resolveEquationReferences(tex, format) {
+    return tex.replace(EQUATION_REF_PATTERN, (match, command, refLabel, textLabel) => {
+        const label = (refLabel || textLabel).trim();
+        return format(katexEquationLabels[label] || null, command !== 'ref', label);
+    });
+}
+
+/**
+ * 引用显示文本：\eqref 与 (eq:label) 带括号，\ref 与 \tag*{} 不带
+ */
+function formatEquationReference(target, isEqref) {
+    return isEqref && !target.starred ? `(${target.number})` : target.number;
+}
+
+/**
+ * 渲染前处理公式：移除 \label、将引用改写为编号文本（链接在渲染后添加，见 linkFormulaReferences）、
+ * 为自动编号的块级公式追加 \tag；引用按出现顺序记录到 refs
+ */
+function prepareEquationTex(el, tex, refs) {
+    let result = resolveEquationReferences(tex.replace(EQUATION_LABEL_PATTERN, ''), (target, isEqref, label) => {
+        if (!target) {
+            console.warn(`⚠️ [Notion to WordPress] 未找到公式标签: ${label}`);
+            return '\\text{(??)}';
+        }
+        const text = formatEquationReference(target, isEqref).replace(/[\\{}$&#^_%~]/g, '');
+        refs.push({ id: target.id, text: text });
+        return `\\text{${text}}`;
+    });
+
+    if (el.getAttribute('data-equation-tag') === 'auto') {
+        // 换行避免被公式末尾的 % 注释吞掉
+        result += `\n\\tag{${el.getAttribute('data-equation-number')}}`;
+    }
+    return result;
+}
+
+/**
+ * 为公式内的引用编号添加锚点链接：按顺序匹配 KaTeX 输出中的文本片段，
+ * 链接由脚本生成，不经过 KaTeX 的 trust 策略
+ */
+function linkFormulaReferences(el, refs) {
+    if (refs.length === 0) return;
+
+    const spans = Array.from(el.querySelectorAll('.katex-html .mord.text > .mord'));
+    let index = 0;
+    refs.forEach(ref => {
+        while (index < spans.length && spans[index].textContent !== ref.text) index++;
+        const span = spans[index++];
+        if (!span) return;
+
+        const link = document.createElement('a');
+        link.className = 'notion-equation-ref';
+        link.href = '#' + ref.id;
+        link.append(...span.childNodes);
+        span.appendChild(link);
+    });
+}
+
+/**
+ * 重新编号后更新正文中已生成的引用链接
+ */
+function updateEquationReferenceLinks() {
+    document.querySelectorAll('a.notion-equation-ref[data-equation-label]').forEach(link => {
+        const target = katexEquationLabels[link.getAttribute('data-equation-label')];
+        if (!target) return;
+
+        link.href = '#' + target.id;
+        link.textContent = formatEquationReference(target, link.getAttribute('data-equation-ref') !== 'ref');
+        link.setAttribute('aria-label', '跳转到公式 ' + formatEquationReference(target, true));
+    });
+}
+
+/**
+ * 将正文中的 \eqref{label} / (eq:label) 转换为指向公式的锚点链接
+ */
+function linkEquationReferences(root) {
+    const container = !root || root === document ? document.body : root;
+    if (!container) return;
+
+    const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT, {
+        acceptNode: node => EQUATION_REF_TEST.test(node.nodeValue) && !node.parentElement.closest(EQUATION_REF_SKIP_SELECTOR)
+            ? NodeFilter.FILTER_ACCEPT
+            : NodeFilter.FILTER_REJECT
+    });
+
+    const nodes = [];
+    while (walker.nextNode()) nodes.push(walker.currentNode);
+
+    nodes.forEach(node => {
+        const fragment = document.createDocumentFragment();
+        let lastIndex = 0;
+        let linked = false;
+
+        for (const match of node.nodeValue.matchAll(EQUATION_REF_PATTERN)) {
+            const label = (match[2] || match[3]).trim();
+            const target = katexEquationLabels[label];
+            if (!target) continue;
+
+            const link = document.createElement('a');
+            link.className = 'notion-equation-ref';
+            link.href = '#' + target.id;
+            link.setAttribute('data-equation-label', label);
+            link.setAttribute('data-equation-ref', match[1] === 'ref' ? 'ref' : 'eqref');
+            link.textContent = formatEquationReference(target, match[1] !== 'ref');
+            link.setAttribute('aria-label', '跳转到公式 ' + formatEquationReference(target, true));
+
+            fragment.appendChild(document.createTextNode(node.nodeValue.slice(lastIndex, match.index)));
+            fragment.appendChild(link);
+            lastIndex = match.index + match[0].length;
+            linked = true;
+        }
+
+        if (linked) {
+            fragment.appendChild(document.createTextNode(node.nodeValue.slice(lastIndex)));
+            node.parentNode.replaceChild(fragment, node);
+        }
+    });
+}
+
+/**
+ * 读取元素中的原始 TeX：去除 $ / $$ 包围符号、解码 HTML 实体并修正化学公式写法
+ */
+function extractKatexTex(el) {
 const isBlock = el.classList.contains('notion-equation-block');
 // 回退到简单的textContent获取，避免复杂的HTML处理
 let tex = el.textContent.trim();
@@ -188,6 +915,19 @@ return p1 + '\\ce{';
 });
 }
 
+return tex;
+}
+
+// 渲染单个元素
+function renderKatexElement(el) {
+const isBlock = el.classList.contains('notion-equation-block');
+// 已渲染的公式（重新编号时）从 data-tex 读取原始 TeX
+const source = el.classList.contains('katex-rendered') && el.hasAttribute('data-tex')
+	? el.getAttribute('data-tex')
+	: extractKatexTex(el);
+const refs = [];
+const tex = prepareEquationTex(el, source, refs);
+
 try {
 	// 检查KaTeX是否可用
 	if (typeof window.katex === 'undefined') {
@@ -195,18 +935,36 @@ try {
 		return;
 	}
 
-	window.katex.render(tex, el, { displayMode: isBlock, ...katexOptions });
+	// 未启用 globalGroup 时传入副本，避免公式内的 \gdef 泄漏到其他公式
+	const macros = getKatexMacros();
+	const blocked = [];
+	window.katex.render(tex, el, {
+		displayMode: isBlock,
+		...katexOptions,
+		macros: katexOptions.globalGroup ? macros : Object.assign({}, macros),
+		trust: createKatexTrust(blocked)
+	});
 	el.classList.add('katex-rendered'); // 标记为已渲染
+	linkFormulaReferences(el, refs);
+	applyKatexAccessibility(el, source);
+	reportBlockedKatex(el, source, blocked);
+	releaseKatexPlaceholder(el);
 } catch (e) {
-	console.error('KaTeX 渲染错误:', e, '公式:', tex);
+	console.error('KaTeX 渲染错误:', e, '公式:', source);
 	// 显示错误信息而不是空白
-	el.innerHTML = '<span style="color: red; font-family: monospace;">公式渲染失败: ' + tex.replace(/</g, '&lt;').replace(/>/g, '&gt;') + '</span>';
+	const errorSpan = document.createElement('span');
+	errorSpan.style.color = 'red';
+	errorSpan.style.fontFamily = 'monospace';
+	errorSpan.textContent = '公式渲染失败: ' + source;
+	el.replaceChildren(errorSpan);
+	el.setAttribute('data-tex', source);
+	releaseKatexPlaceholder(el);
 }
 }
 
 
 
-// 遍历并渲染页面中所有公式
+// 遍历并立即渲染页面中所有公式
 function renderAllKatex() {
 	// 简化逻辑：如果KaTeX未加载，直接跳过
 	if (!checkKatexLoaded()) {
@@ -214,17 +972,171 @@ function renderAllKatex() {
 		return;
 	}
 
+	refreshEquationNumbers(document);
+
 	// 只渲染未渲染的公式，避免重复渲染
-	const equations = document.querySelectorAll('.notion-equation-inline:not(.katex-rendered), .notion-equation-block:not(.katex-rendered)');
+	const equations = document.querySelectorAll(PENDING_EQUATION_SELECTOR);
 	console.log(`📊 找到 ${equations.length} 个未渲染的数学公式`);
 
 	equations.forEach(renderKatexElement);
+	katexQueue.length = 0;
+	notifyKatexComplete();
+}
+
+/* ---------------- 视口延迟渲染 ---------------- */
+const PENDING_EQUATION_SELECTOR = '.notion-equation-inline:not(.katex-rendered), .notion-equation-block:not(.katex-rendered)';
+
+const katexDeferConfig = {
+    rootMargin: '600px 0px',   // 距视口该范围内的公式优先渲染
+    chunkSize: 20,             // 空闲时每批最多渲染的公式数量
+    idleTimeout: 1000          // 空闲回调最长等待时间（毫秒）
+};
+
+// 等待空闲渲染的公式（文档顺序）
+const katexQueue = [];
+let katexObserver = null;
+let katexIdleHandle = null;
+
+const requestKatexIdle = window.requestIdleCallback
+    ? callback => window.requestIdleCallback(callback, { timeout: katexDeferConfig.idleTimeout })
+    : callback => setTimeout(() => callback({ timeRemaining: () => 16, didTimeout: true }), 50);
+const cancelKatexIdle = window.cancelIdleCallback || clearTimeout;
+
+/**
+ * 估算公式渲染后的高度并预留占位，减少渲染时的布局跳动
+ */
+function reserveKatexPlaceholder(el) {
+    if (el.classList.contains('notion-equation-pending')) return;
+
+    el.classList.add('notion-equation-pending');
+    if (el.classList.contains('notion-equation-block')) {
+        const tex = el.textContent;
+        const rows = (tex.match(/\\\\/g) || []).length + 1;
+        const tall = /\\(frac|dfrac|sum|prod|int|oint|lim|begin|binom|sqrt|overbrace|underbrace)/.test(tex);
+        el.style.setProperty('--notion-equation-rows', String(rows + (tall ? 0.8 : 0)));
+    }
+}
+
+/**
+ * 移除占位状态并停止观察（直接调用 renderKatexElement 时同样生效）
+ */
+function releaseKatexPlaceholder(el) {
+    el.classList.remove('notion-equation-pending');
+    el.style.removeProperty('--notion-equation-rows');
+    if (katexObserver) {
+        katexObserver.unobserve(el);
+    }
+}
+
+/**
+ * 全部公式渲染完成后派发事件
+ */
+function notifyKatexComplete() {
+    if (katexIdleHandle !== null) {
+        cancelKatexIdle(katexIdleHandle);
+        katexIdleHandle = null;
+    }
+    document.dispatchEvent(new CustomEvent('notion:katex:complete'));
+}
+
+/**
+ * 空闲时按文档顺序分批渲染剩余公式，时间片用完时留到下一次空闲继续
+ */
+function processKatexQueue(deadline) {
+    katexIdleHandle = null;
+    let count = 0;
+
+    while (katexQueue.length > 0 && count < katexDeferConfig.chunkSize &&
+           (deadline.didTimeout || deadline.timeRemaining() > 2)) {
+        const el = katexQueue.shift();
+        if (!el.classList.contains('katex-rendered') && el.isConnected) {
+            renderKatexElement(el);
+            count++;
+        }
+    }
+
+    // 每批渲染后重新编号，保证期间插入或移除的公式不会让编号与引用过期
+    if (count > 0) {
+        refreshEquationNumbers();
+    }
+
+    if (katexQueue.length > 0) {
+        katexIdleHandle = requestKatexIdle(processKatexQueue);
+    } else {
+        notifyKatexComplete();
+    }
+}
+
+/**
+ * 接近视口的公式立即渲染
+ */
+function handleKatexIntersection(entries) {
+    entries.forEach(entry => {
+        if (entry.isIntersecting && !entry.target.classList.contains('katex-rendered')) {
+            renderKatexElement(entry.target);
+        }
+    });
+}
+
+/**
+ * 安排公式渲染：root 内未渲染的公式加入视口观察与空闲队列
+ */
+function scheduleKatexRendering(root) {
+    if (!checkKatexLoaded()) {
+        console.log('🔧 [Notion to WordPress] KaTeX未加载，跳过渲染');
+        return;
+    }
+
+    // 编号需覆盖全文，保证延迟渲染与动态插入的公式编号连续
+    refreshEquationNumbers(root || document);
+
+    const equations = Array.from((root || document).querySelectorAll(PENDING_EQUATION_SELECTOR))
+        .filter(el => !el.classList.contains('notion-equation-pending'));
+    if (equations.length === 0) return;
+
+    console.log(`📊 找到 ${equations.length} 个未渲染的数学公式，按视口延迟渲染`);
+
+    // 共享宏定义时，先按文档顺序渲染包含定义的公式，保证延迟渲染的其他公式可以使用
+    if (katexOptions.globalGroup) {
+        equations.filter(el => MACRO_DEFINITION_PATTERN.test(el.textContent)).forEach(renderKatexElement);
+    }
+
+    if ('IntersectionObserver' in window && !katexObserver) {
+        katexObserver = new IntersectionObserver(handleKatexIntersection, {
+            rootMargin: katexDeferConfig.rootMargin
+        });
+    }
+
+    equations.filter(el => !el.classList.contains('katex-rendered')).forEach(el => {
+        reserveKatexPlaceholder(el);
+        katexQueue.push(el);
+        if (katexObserver) {
+            katexObserver.observe(el);
+        }
+    });
+
+    if (katexIdleHandle === null) {
+        katexIdleHandle = requestKatexIdle(processKatexQueue);
+    }
 }
 
 // 暴露函数到全局作用域，供调试和测试使用
 window.NotionToWordPressKaTeX = {
     renderAllKatex: renderAllKatex,
-    renderKatexElement: renderKatexElement
+    renderKatexElement: renderKatexElement,
+    scheduleKatexRendering: scheduleKatexRendering,
+    deferConfig: katexDeferConfig,
+    getMacros: getKatexMacros,
+    reloadMacros: reloadKatexMacros,
+    parseMacros: parseMacroSource,
+    securityProfile: katexSecurityProfile,
+    getBlockedFormulas: () => katexBlockedFormulas.slice(),
+    texToSpeech: texToSpeech,
+    getMathml: getKatexMathml,
+    updateEquationNumbers: updateEquationNumbers,
+    refreshEquationNumbers: refreshEquationNumbers,
+    linkEquationReferences: linkEquationReferences,
+    getEquationLabels: () => Object.assign({}, katexEquationLabels)
 };
 
 // 暴露Mermaid函数到全局作用域
@@ -741,7 +1653,7 @@ document.addEventListener('DOMContentLoaded', function() {
 
     // 防止重复初始化
     if (!isKatexInitialized) {
-        renderAllKatex();
+        scheduleKatexRendering();
         isKatexInitialized = true;
     }
 
@@ -751,5 +1663,12 @@ document.addEventListener('DOMContentLoaded', function() {
     }
 });
 
+// 打印前渲染全部公式，避免打印出未渲染的占位
+window.addEventListener('beforeprint', function() {
+    if (katexQueue.length > 0) {
+        renderAllKatex();
+    }
+});
+
 })();
 
@@ -1,7 +1,11 @@
 /**
  * 图片懒加载和渐进式内容加载脚本
  * 
- * 使用 Intersection Observer API 实现图片的延迟加载，并为 Notion 数据库视图提供渐进式加载功能。
+ * 使用 Intersection Observer API 实现图片的延迟加载（支持 data-srcset/data-sizes 与 <picture> 响应式图片，
+ * 以及 data-lqip/data-dominant-color 占位与 data-width/data-height 宽高比预留），
+ * 同时延迟加载 iframe、video，并为 YouTube/Vimeo/网页嵌入提供点击加载的占位；
+ * 可选开启 MutationObserver 自动观察新插入的元素；图片加载失败时按指数退避重试并回退到 data-fallback-src，
+ * 并为 Notion 数据库视图提供渐进式加载功能。
  *
  * @since 1.1.1
  * @version 2.0.0-beta.1
@@ -20,9 +24,33 @@
         threshold: 0.1,
         loadingClass: 'notion-lazy-loading',
         loadedClass: 'notion-lazy-loaded',
-        errorClass: 'notion-lazy-error'
+        errorClass: 'notion-lazy-error',
+        placeholderClass: 'notion-lazy-placeholder',
+        placeholderLoadedClass: 'notion-lazy-placeholder-loaded',
+        autoRescan: false,          // 使用 MutationObserver 自动观察新插入的懒加载元素（需主动开启）
+        rescanBatchSize: 50,        // 每个空闲时间片最多处理的插入节点数
+        retries: 2,                 // 单个地址加载失败后的重试次数
+        retryDelay: 1000,           // 首次重试等待时间（毫秒），之后按 2 的幂递增
+        i18n: {}                    // 本地化文本，由 wp_localize_script 注入
     };
 
+    // 默认文本（未注入本地化文本时使用）
+    const DEFAULT_I18N = {
+        imageLoadFailed: '图片加载失败',
+        tapToRetry: '点击重试'
+    };
+
+    // 懒加载图片选择器：data-src、data-srcset，以及 <picture> 中带 data-srcset 的 <source>
+    const LAZY_IMAGE_SELECTOR = 'img[data-src], img[data-srcset], picture > source[data-srcset] ~ img';
+
+    // 懒加载媒体选择器：iframe、video 及其 <source>；带 data-facade 的 iframe 改为点击加载
+    // 保存的内容保留真实 src（供 RSS、REST 与无 JS 环境使用），点击加载占位在运行时替换
+    const LAZY_MEDIA_SELECTOR = 'iframe[data-src]:not([data-facade]), video[data-src], video > source[data-src]';
+    const FACADE_SELECTOR = 'iframe[data-facade]';
+
+    // 点击加载占位 => 对应的 iframe
+    const facadeIframes = new WeakMap();
+
     // Intersection Observer 支持检测
     const supportsIntersectionObserver = 'IntersectionObserver' in window;
 
@@ -33,100 +61,802 @@
         return new IntersectionObserver((entries) => {
             entries.forEach(entry => {
                 if (entry.isIntersecting) {
-                    loadImage(entry.target);
+                    loadElement(entry.target);
                     observer.unobserve(entry.target);
                 }
             });
         }, LAZY_CONFIG);
     }
 
+    /**
+     * 解析 srcset 字符串为候选列表 [{url, descriptor, width, density}]
+     *
+     * 按规范以空白分隔 URL 与描述符，URL 内部允许出现逗号（如 CDN 变换参数）
+     */
+    function parseSrcset(srcset) {
+        const candidates = [];
+        const input = (srcset || '').trim();
+        let pos = 0;
+
+        while (pos < input.length) {
+            // 跳过分隔用的空白与逗号
+            while (pos < input.length && /[\s,]/.test(input[pos])) pos++;
+            if (pos >= input.length) break;
+
+            const urlStart = pos;
+            while (pos < input.length && !/\s/.test(input[pos])) pos++;
+            let url = input.slice(urlStart, pos);
+            let descriptor = '';
+
+            if (/,+$/.test(url)) {
+                url = url.replace(/,+$/, '');
+            } else {
+                const descStart = pos;
+                while (pos < input.length && input[pos] !== ',') pos++;
+                descriptor = input.slice(descStart, pos).trim();
+            }
+
+            const candidate = { url: url, descriptor: descriptor, width: null, density: null };
+            const match = descriptor.match(/^(\d+(?:\.\d+)?)([wx])$/);
+            if (match) {
+                candidate[match[2] === 'w' ? 'width' : 'density'] = parseFloat(match[1]);
+            }
+            if (url) candidates.push(candidate);
+        }
+
+        return candidates;
+    }
+
+    /**
+     * 将 sizes 中的长度值转换为 CSS 像素
+     */
+    function parseSizeLength(length) {
+        const match = length.trim().match(/^(\d+(?:\.\d+)?)(px|vw|em|rem)$/);
+        if (!match) return null;
+
+        const value = parseFloat(match[1]);
+        switch (match[2]) {
+            case 'vw':
+                return window.innerWidth * value / 100;
+            case 'em':
+            case 'rem':
+                return value * (parseFloat(getComputedStyle(document.documentElement).fontSize) || 16);
+            default:
+                return value;
+        }
+    }
+
+    /**
+     * 计算图片的显示宽度：支持媒体条件列表与 auto（取元素实际布局宽度）
+     */
+    function evaluateSizes(sizes, img) {
+        const layoutWidth = () => {
+            const width = img.getBoundingClientRect().width ||
+                (img.parentElement ? img.parentElement.getBoundingClientRect().width : 0);
+            return width || window.innerWidth;
+        };
+
+        if (!sizes || sizes.trim() === 'auto') {
+            return layoutWidth();
+        }
+
+        const entries = sizes.split(',');
+        for (const entry of entries) {
+            const match = entry.trim().match(/^(\(.*\))\s+(\S+)$/);
+            if (match) {
+                if (window.matchMedia && window.matchMedia(match[1]).matches) {
+                    return parseSizeLength(match[2]) || layoutWidth();
+                }
+            } else {
+                return parseSizeLength(entry) || layoutWidth();
+            }
+        }
+
+        return window.innerWidth;
+    }
+
+    // 已检测过的图片格式支持情况
+    const imageTypeSupport = {
+        'image/jpeg': true,
+        'image/png': true,
+        'image/gif': true,
+        'image/svg+xml': true
+    };
+
+    /**
+     * 判断浏览器是否支持 <source type> 指定的图片格式
+     */
+    function supportsImageType(type) {
+        if (!type) return true;
+        if (!(type in imageTypeSupport)) {
+            // 能编码该格式的浏览器必然能解码；无法检测的格式（如 AVIF）保守地视为不支持
+            const canvas = document.createElement('canvas');
+            canvas.width = canvas.height = 1;
+            try {
+                imageTypeSupport[type] = canvas.toDataURL(type).indexOf('data:' + type) === 0;
+            } catch (e) {
+                imageTypeSupport[type] = false;
+            }
+        }
+        return imageTypeSupport[type];
+    }
+
+    /**
+     * 按设备像素比从候选列表中选择最合适的一项
+     */
+    function selectCandidate(candidates, slotWidth) {
+        const dpr = window.devicePixelRatio || 1;
+        let best = null;
+        let largest = null;
+
+        candidates.forEach(candidate => {
+            const density = candidate.width ? candidate.width / slotWidth : (candidate.density || 1);
+            if (!largest || density > largest.density) {
+                largest = { candidate: candidate, density: density };
+            }
+            // 取不低于设备像素比的最小密度，避免下载过大的图片
+            if (density >= dpr && (!best || density < best.density)) {
+                best = { candidate: candidate, density: density };
+            }
+        });
+
+        const chosen = best || largest;
+        return chosen ? Object.assign({}, chosen.candidate, { density: chosen.density }) : null;
+    }
+
+    /**
+     * 选出图片将要使用的资源：<picture> 中首个匹配 media/type 的 <source>，否则为图片自身的 srcset/src
+     */
+    function resolveImageCandidate(img) {
+        const sources = [];
+        if (img.parentElement && img.parentElement.tagName === 'PICTURE') {
+            img.parentElement.querySelectorAll('source').forEach(source => sources.push(source));
+        }
+        sources.push(img);
+
+        for (const element of sources) {
+            const srcset = element.dataset.srcset || element.getAttribute('srcset');
+            if (element !== img) {
+                const media = element.getAttribute('media');
+                if (!srcset) continue;
+                if (media && !(window.matchMedia && window.matchMedia(media).matches)) continue;
+                if (!supportsImageType(element.getAttribute('type'))) continue;
+            }
+
+            if (srcset) {
+                const sizes = element.dataset.sizes || element.getAttribute('sizes') || img.dataset.sizes;
+                const candidate = selectCandidate(parseSrcset(srcset), evaluateSizes(sizes, img));
+                if (candidate) {
+                    candidate.source = element === img ? 'img' : 'picture';
+                    return candidate;
+                }
+            }
+        }
+
+        return img.dataset.src
+            ? { url: img.dataset.src, descriptor: '', width: null, density: null, source: 'img' }
+            : null;
+    }
+
+    /**
+     * 将 data-srcset / data-sizes 写入图片及 <picture> 中的 <source>
+     */
+    function applyResponsiveAttributes(img) {
+        const elements = [];
+        if (img.parentElement && img.parentElement.tagName === 'PICTURE') {
+            img.parentElement.querySelectorAll('source').forEach(source => elements.push(source));
+        }
+        elements.push(img);
+
+        elements.forEach(element => {
+            if (element.dataset.sizes) {
+                const sizes = element.dataset.sizes === 'auto'
+                    ? Math.round(evaluateSizes('auto', img)) + 'px'
+                    : element.dataset.sizes;
+                element.setAttribute('sizes', sizes);
+            }
+            if (element.dataset.srcset) {
+                element.setAttribute('srcset', element.dataset.srcset);
+            }
+        });
+    }
+
+    /**
+     * 规范化 data-lqip：完整 URL 原样使用，纯 base64 视为 JPEG 缩略图
+     */
+    function getLqipUrl(value) {
+        value = (value || '').trim();
+        if (!value) return '';
+        if (/^(data:|https?:|\/)/i.test(value)) return value;
+        return 'data:image/jpeg;base64,' + value;
+    }
+
+    /**
+     * 校验 data-dominant-color 是否为合法的 CSS 颜色
+     */
+    function isValidColor(color) {
+        if (!color) return false;
+        if (window.CSS && CSS.supports) return CSS.supports('color', color);
+        return /^(#[0-9a-f]{3,8}|rgba?\([\d\s.,%]+\)|hsla?\([\d\s.,%deg]+\))$/i.test(color);
+    }
+
+    /**
+     * 立即渲染占位：按 data-width/data-height 预留宽高比，
+     * 有 data-lqip 或 data-dominant-color 时包裹一层占位容器，加载完成后交叉淡入原图
+     */
+    function applyPlaceholder(img) {
+        const width = parseInt(img.dataset.width, 10);
+        const height = parseInt(img.dataset.height, 10);
+        const hasSize = width > 0 && height > 0;
+
+        if (hasSize) {
+            // width/height 属性让浏览器在加载前即可计算宽高比，避免布局偏移
+            if (!img.hasAttribute('width')) img.setAttribute('width', width);
+            if (!img.hasAttribute('height')) img.setAttribute('height', height);
+            img.style.aspectRatio = width + ' / ' + height;
+        }
+
+        const lqip = getLqipUrl(img.dataset.lqip);
+        const color = isValidColor(img.dataset.dominantColor) ? img.dataset.dominantColor : '';
+        if (!lqip && !color) return;
+
+        // <picture> 中的图片需要包裹整个 <picture>
+        const target = img.parentElement && img.parentElement.tagName === 'PICTURE' ? img.parentElement : img;
+        if (!target.parentNode || target.parentNode.classList.contains(LAZY_CONFIG.placeholderClass)) return;
+
+        const wrapper = document.createElement('span');
+        wrapper.className = LAZY_CONFIG.placeholderClass;
+        if (hasSize) {
+            wrapper.style.aspectRatio = width + ' / ' + height;
+            wrapper.style.width = width + 'px';
+        }
+        if (color) {
+            wrapper.style.backgroundColor = color;
+        }
+        if (lqip) {
+            wrapper.style.setProperty('--notion-lqip', 'url("' + lqip.replace(/["\\\n]/g, encodeURIComponent) + '")');
+        }
+
+        target.parentNode.insertBefore(wrapper, target);
+        wrapper.appendChild(target);
+    }
+
+    /**
+     * 原图加载结束（成功或失败）后淡出占位
+     */
+    function revealPlaceholder(img) {
+        const wrapper = img.closest('.' + LAZY_CONFIG.placeholderClass);
+        if (!wrapper) return;
+
+        const reveal = () => wrapper.classList.add(LAZY_CONFIG.placeholderLoadedClass);
+        // 等待解码完成再淡入，避免淡入过程中出现空白
+        if (typeof img.decode === 'function') {
+            img.decode().then(reveal, reveal);
+        } else {
+            reveal();
+        }
+    }
+
+    /**
+     * 获取本地化文本
+     */
+    function t(key) {
+        return (LAZY_CONFIG.i18n && LAZY_CONFIG.i18n[key]) || DEFAULT_I18N[key] || key;
+    }
+
+    /**
+     * 生成加载失败占位图（SVG），文字经过转义
+     */
+    function createErrorPlaceholder() {
+        // 前端公共工具未加载时退回最简转义，避免占位图生成中断
+        const utils = window.NotionToWordPressUtils;
+        const escape = utils ? utils.escapeHtml : value => String(value).replace(/[&<>"']/g, char => '&#' + char.charCodeAt(0) + ';');
+
+        const svg = '<svg width="200" height="200" xmlns="http://www.w3.org/2000/svg">' +
+            '<rect width="100%" height="100%" fill="#f0f0f0"/>' +
+            '<text x="50%" y="45%" font-family="Arial" font-size="14" fill="#999" text-anchor="middle">' + escape(t('imageLoadFailed')) + '</text>' +
+            '<text x="50%" y="60%" font-family="Arial" font-size="12" fill="#2563eb" text-anchor="middle">' + escape(t('tapToRetry')) + '</text>' +
+            '</svg>';
+        return 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(svg);
+    }
+
+    /**
+     * 预加载单个地址，失败时按指数退避重试
+     */
+    function preloadWithRetry(url, onAttempt) {
+        return new Promise((resolve, reject) => {
+            let attempt = 0;
+
+            const tryLoad = () => {
+                attempt++;
+                onAttempt(url, attempt);
+
+                const imageLoader = new Image();
+                imageLoader.onload = () => resolve(url);
+                imageLoader.onerror = () => {
+                    if (attempt > LAZY_CONFIG.retries) {
+                        reject(new Error('图片加载失败: ' + url));
+                        return;
+                    }
+                    // 1x、2x、4x... 递增等待，给临时故障留出恢复时间
+                    setTimeout(tryLoad, LAZY_CONFIG.retryDelay * Math.pow(2, attempt - 1));
+                };
+                imageLoader.src = url;
+            };
+
+            tryLoad();
+        });
+    }
+
+    /**
+     * 在失败占位上启用"点击重试"
+     */
+    function enableTapToRetry(img) {
+        img.setAttribute('data-lazy-retry', '');
+        img.setAttribute('role', 'button');
+        img.setAttribute('tabindex', '0');
+        img.setAttribute('title', t('tapToRetry'));
+        if (!img.hasAttribute('data-lazy-alt')) {
+            img.setAttribute('data-lazy-alt', img.getAttribute('alt') || '');
+        }
+        img.setAttribute('alt', t('imageLoadFailed') + ' (' + t('tapToRetry') + ')');
+
+        const retry = event => {
+            if (event.type === 'keydown' && event.key !== 'Enter' && event.key !== ' ') return;
+            // 图片位于链接中时不跳转
+            event.preventDefault();
+            event.stopPropagation();
+
+            img.removeEventListener('click', retry);
+            img.removeEventListener('keydown', retry);
+            disableTapToRetry(img);
+            img.classList.remove(LAZY_CONFIG.errorClass);
+            loadImage(img);
+        };
+
+        img.addEventListener('click', retry);
+        img.addEventListener('keydown', retry);
+    }
+
+    /**
+     * 移除"点击重试"状态，恢复原始 alt
+     */
+    function disableTapToRetry(img) {
+        if (!img.hasAttribute('data-lazy-retry')) return;
+
+        img.removeAttribute('data-lazy-retry');
+        img.removeAttribute('role');
+        img.removeAttribute('tabindex');
+        img.removeAttribute('title');
+        img.setAttribute('alt', img.getAttribute('data-lazy-alt'));
+        img.removeAttribute('data-lazy-alt');
+    }
+
     /**
      * 加载图片
+     *
+     * 先按 srcset/sizes 与 <picture> 规则选出候选资源并预加载，加载完成后再写入属性，
+     * 使浏览器直接命中缓存；所选候选会在 lazyLoaded 事件的 detail.candidate 中返回。
+     * 每个地址失败后按指数退避重试，仍失败时依次尝试 data-fallback-src 中的备用地址
+     * （空白分隔，如媒体库副本 → Notion 原始地址），全部失败后显示可点击重试的占位图
      */
     function loadImage(img) {
-        const src = img.dataset.src;
-        if (!src) return;
+        const candidate = resolveImageCandidate(img);
+        if (!candidate) return;
+
+        const fallbacks = (img.dataset.fallbackSrc || '').split(/\s+/).filter(Boolean);
+        const urls = [candidate.url].concat(fallbacks.filter(url => url !== candidate.url));
+        const detail = {
+            src: candidate.url,
+            candidate: candidate,
+            srcset: img.dataset.srcset || null,
+            sizes: img.dataset.sizes || null,
+            attempts: 0,
+            fallback: false
+        };
 
         // 添加加载状态
         img.classList.add(LAZY_CONFIG.loadingClass);
 
-        // 创建新的图片对象来预加载
-        const imageLoader = new Image();
-        
-        imageLoader.onload = function() {
-            // 加载成功
-            img.src = src;
+        const onAttempt = (url, attempt) => {
+            detail.attempts++;
+            if (attempt > 1) {
+                img.dispatchEvent(new CustomEvent('lazyRetry', {
+                    detail: { src: url, attempt: attempt }
+                }));
+            }
+        };
+
+        // 依次尝试每个地址，前一个彻底失败后才尝试下一个
+        const loadChain = urls.reduce(
+            (chain, url) => chain.catch(() => preloadWithRetry(url, onAttempt)),
+            Promise.reject()
+        );
+
+        loadChain.then(url => {
+            // 加载成功；使用备用地址时不再写入 srcset，避免浏览器重新选择失败的候选
+            if (url === candidate.url) {
+                applyResponsiveAttributes(img);
+                img.src = img.dataset.src || url;
+            } else {
+                detail.fallback = true;
+                img.removeAttribute('srcset');
+                img.src = url;
+            }
+            detail.src = url;
             img.classList.remove(LAZY_CONFIG.loadingClass);
             img.classList.add(LAZY_CONFIG.loadedClass);
+            revealPlaceholder(img);
             
             // 触发自定义事件
             img.dispatchEvent(new CustomEvent('lazyLoaded', {
-                detail: { src: src }
+                detail: detail
             }));
-        };
-
-        imageLoader.onerror = function() {
+        }, () => {
             // 加载失败
             img.classList.remove(LAZY_CONFIG.loadingClass);
             img.classList.add(LAZY_CONFIG.errorClass);
+            revealPlaceholder(img);
             
-            // 显示占位符或默认图片
-            img.src = 'data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMjAwIiBoZWlnaHQ9IjIwMCIgeG1sbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIj48cmVjdCB3aWR0aD0iMTAwJSIgaGVpZ2h0PSIxMDAlIiBmaWxsPSIjZjBmMGYwIi8+PHRleHQgeD0iNTAlIiB5PSI1MCUiIGZvbnQtZmFtaWx5PSJBcmlhbCIgZm9udC1zaXplPSIxNCIgZmlsbD0iIzk5OSIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZHk9Ii4zZW0iPuWbvueJh+WKoOi9veWksei0pTwvdGV4dD48L3N2Zz4=';
+            // 显示可点击重试的占位图
+            img.removeAttribute('srcset');
+            img.src = createErrorPlaceholder();
+            enableTapToRetry(img);
             
             // 触发自定义事件
             img.dispatchEvent(new CustomEvent('lazyError', {
-                detail: { src: src }
+                detail: detail
             }));
+        });
+    }
+
+    /**
+     * 加载 iframe 或 video，沿用图片的加载状态类与 lazyLoaded/lazyError 事件
+     */
+    function loadMedia(element) {
+        const sources = element.tagName === 'VIDEO'
+            ? Array.from(element.querySelectorAll('source[data-src]'))
+            : [];
+        const src = element.dataset.src || (sources[0] && sources[0].dataset.src);
+        if (!src) return;
+
+        const detail = { src: src, type: element.tagName.toLowerCase() };
+        element.classList.add(LAZY_CONFIG.loadingClass);
+
+        const onLoad = () => {
+            element.classList.remove(LAZY_CONFIG.loadingClass);
+            element.classList.add(LAZY_CONFIG.loadedClass);
+            element.dispatchEvent(new CustomEvent('lazyLoaded', { detail: detail }));
         };
+        const onError = () => {
+            element.classList.remove(LAZY_CONFIG.loadingClass);
+            element.classList.add(LAZY_CONFIG.errorClass);
+            element.dispatchEvent(new CustomEvent('lazyError', { detail: detail }));
+        };
+
+        if (element.tagName === 'VIDEO') {
+            element.addEventListener('loadedmetadata', onLoad, { once: true });
+            element.addEventListener('error', onError, { once: true });
+            // 所有 <source> 都失败时只会在最后一个 <source> 上触发 error
+            if (sources.length) {
+                sources[sources.length - 1].addEventListener('error', onError, { once: true });
+            }
 
-        imageLoader.src = src;
+            sources.forEach(source => source.setAttribute('src', source.dataset.src));
+            if (element.dataset.src) element.setAttribute('src', element.dataset.src);
+            if (element.getAttribute('preload') === 'none') element.setAttribute('preload', 'metadata');
+            element.load();
+        } else {
+            element.addEventListener('load', onLoad, { once: true });
+            element.addEventListener('error', onError, { once: true });
+            element.setAttribute('src', src);
+        }
     }
 
     /**
-     * 降级处理（不支持 Intersection Observer 时）
+     * 获取点击加载占位的缩略图：优先 data-thumbnail，YouTube 按视频ID推导，Vimeo 通过 oEmbed 查询
      */
-    function fallbackLoad() {
-        const lazyImages = document.querySelectorAll('img[data-src]');
-        lazyImages.forEach(img => {
-            loadImage(img);
+    function getFacadeThumbnail(iframe) {
+        if (iframe.dataset.thumbnail) {
+            return Promise.resolve(iframe.dataset.thumbnail);
+        }
+
+        const src = iframe.dataset.src;
+        const youtube = src.match(/youtube(?:-nocookie)?\.com\/embed\/([\w-]{11})/);
+        if (youtube) {
+            return Promise.resolve('https://i.ytimg.com/vi/' + youtube[1] + '/hqdefault.jpg');
+        }
+
+        const vimeo = src.match(/player\.vimeo\.com\/video\/(\d+)/);
+        if (vimeo && window.fetch) {
+            return fetch('https://vimeo.com/api/oembed.json?url=' + encodeURIComponent('https://vimeo.com/' + vimeo[1]))
+                .then(response => response.ok ? response.json() : null)
+                .then(data => data && data.thumbnail_url ? data.thumbnail_url : null)
+                .catch(() => null);
+        }
+
+        return Promise.resolve(null);
+    }
+
+    /**
+     * 为 iframe 创建点击加载占位（缩略图 + 播放按钮），点击后才真正加载 iframe
+     * （同时兼容保存为 src 与旧版 data-src 的内容）
+     */
+    function createFacade(iframe) {
+        if (iframe.classList.contains('notion-lazy-observed')) return;
+        iframe.classList.add('notion-lazy-observed');
+
+        // 将真实地址移到 data-src，移除 src 会中止尚未完成的加载
+        if (!iframe.dataset.src) {
+            const src = iframe.getAttribute('src');
+            if (!src) return;
+            iframe.dataset.src = src;
+            iframe.removeAttribute('src');
+        }
+
+        const isVideo = /youtube|vimeo/.test(iframe.dataset.facade);
+        const facade = document.createElement('div');
+        facade.className = 'notion-embed-facade notion-embed-facade-' + iframe.dataset.facade;
+
+        // 按 iframe 的 width/height 属性预留尺寸
+        const width = parseInt(iframe.getAttribute('width'), 10);
+        const height = parseInt(iframe.getAttribute('height'), 10);
+        if (width > 0 && height > 0 && !/%/.test(iframe.getAttribute('width'))) {
+            facade.style.aspectRatio = width + ' / ' + height;
+            facade.style.maxWidth = width + 'px';
+        } else if (height > 0) {
+            facade.style.height = height + 'px';
+        }
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'notion-embed-play';
+        button.setAttribute('aria-label', isVideo ? '播放视频' : '加载嵌入内容');
+        if (!isVideo) {
+            let host = '';
+            try {
+                host = new URL(iframe.dataset.src, window.location.href).hostname;
+            } catch (e) {
+                host = '';
+            }
+            const label = document.createElement('span');
+            label.className = 'notion-embed-facade-label';
+            label.textContent = host ? '点击加载 ' + host : '点击加载嵌入内容';
+            facade.appendChild(label);
+        }
+        facade.appendChild(button);
+
+        facade.addEventListener('click', () => activateFacade(facade, iframe));
+
+        iframe.hidden = true;
+        iframe.parentNode.insertBefore(facade, iframe);
+
+        // 缩略图（Vimeo 需请求 oEmbed）在占位接近视口时才获取
+        facadeIframes.set(facade, iframe);
+        observeElement(facade);
+    }
+
+    /**
+     * 占位进入视口后加载缩略图
+     */
+    function loadFacadeThumbnail(facade) {
+        const iframe = facadeIframes.get(facade);
+        if (!iframe) return;
+
+        getFacadeThumbnail(iframe).then(url => {
+            if (!url || !facade.isConnected) return;
+            const thumbnail = document.createElement('img');
+            thumbnail.className = 'notion-embed-facade-thumbnail';
+            thumbnail.alt = '';
+            thumbnail.dataset.src = url;
+            facade.insertBefore(thumbnail, facade.firstChild);
+            observeElement(thumbnail);
         });
     }
 
+    /**
+     * 点击占位后加载 iframe，视频类嵌入自动播放
+     */
+    function activateFacade(facade, iframe) {
+        if (/youtube|vimeo/.test(iframe.dataset.facade)) {
+            const src = iframe.dataset.src;
+            iframe.dataset.src = src + (src.indexOf('?') === -1 ? '?' : '&') + 'autoplay=1';
+        }
+
+        iframe.hidden = false;
+        if (facade.parentNode) {
+            facade.parentNode.removeChild(facade);
+        }
+        loadMedia(iframe);
+        iframe.focus();
+    }
+
+    /**
+     * 按元素类型加载
+     */
+    function loadElement(element) {
+        if (element.tagName === 'IMG') {
+            loadImage(element);
+        } else if (facadeIframes.has(element)) {
+            loadFacadeThumbnail(element);
+        } else {
+            loadMedia(element);
+        }
+    }
+
+    /**
+     * 收集 root（含自身）内尚未处理的懒加载元素（<source> 归并到所属 video）
+     */
+    function collectLazyElements(root) {
+        const selector = LAZY_IMAGE_SELECTOR + ', ' + LAZY_MEDIA_SELECTOR;
+        const matches = Array.from(root.querySelectorAll(selector));
+        if (root.matches && root.matches(selector)) {
+            matches.unshift(root);
+        }
+
+        const elements = new Set();
+        matches.forEach(element => {
+            elements.add(element.tagName === 'SOURCE' ? element.parentElement : element);
+        });
+        return Array.from(elements).filter(element => !element.classList.contains('notion-lazy-observed'));
+    }
+
+    /**
+     * 观察单个懒加载元素，不支持 Intersection Observer 时直接加载
+     */
+    function observeElement(element) {
+        element.classList.add('notion-lazy-observed');
+        if (element.tagName === 'IMG') {
+            applyPlaceholder(element);
+        }
+
+        if (observer) {
+            observer.observe(element);
+        } else {
+            loadElement(element);
+        }
+    }
+
+    /**
+     * 扫描 root（默认整个文档）中的懒加载元素与点击加载嵌入，返回新增观察数量
+     */
+    function scanLazyElements(root) {
+        root = root || document;
+
+        const facades = Array.from(root.querySelectorAll(FACADE_SELECTOR));
+        if (root.matches && root.matches(FACADE_SELECTOR)) {
+            facades.unshift(root);
+        }
+        facades.forEach(createFacade);
+
+        const elements = collectLazyElements(root);
+        elements.forEach(observeElement);
+        return elements.length;
+    }
+
+    // 自动重新扫描状态
+    let mutationObserver = null;
+    const pendingRoots = new Set();
+    let idleHandle = null;
+
+    const requestIdle = window.requestIdleCallback
+        ? callback => window.requestIdleCallback(callback, { timeout: 500 })
+        : callback => setTimeout(() => callback({ timeRemaining: () => 16, didTimeout: true }), 50);
+    const cancelIdle = window.cancelIdleCallback || clearTimeout;
+
+    /**
+     * 在空闲时间分批扫描新插入的节点，时间片用完时留到下一次空闲继续
+     */
+    function processPendingRoots(deadline) {
+        idleHandle = null;
+        let count = 0;
+        let processed = 0;
+
+        for (const root of pendingRoots) {
+            if (processed >= LAZY_CONFIG.rescanBatchSize ||
+                (processed > 0 && !deadline.didTimeout && deadline.timeRemaining() < 1)) {
+                break;
+            }
+            pendingRoots.delete(root);
+            processed++;
+
+            // 插入后又被移除的节点无需处理
+            if (root.isConnected) {
+                count += scanLazyElements(root);
+            }
+        }
+
+        if (count > 0) {
+            console.log('Notion懒加载自动观察新增元素:', count);
+        }
+        if (pendingRoots.size > 0) {
+            idleHandle = requestIdle(processPendingRoots);
+        }
+    }
+
+    /**
+     * 收集新插入的元素节点，合并到下一次空闲扫描
+     */
+    function handleMutations(mutations) {
+        mutations.forEach(mutation => {
+            mutation.addedNodes.forEach(node => {
+                if (node.nodeType === Node.ELEMENT_NODE) {
+                    pendingRoots.add(node);
+                }
+            });
+        });
+
+        if (pendingRoots.size > 0 && idleHandle === null) {
+            idleHandle = requestIdle(processPendingRoots);
+        }
+    }
+
+    /**
+     * 开启自动重新扫描：新插入 DOM 的懒加载元素无需再手动调用 refresh()
+     */
+    function enableAutoRescan() {
+        if (mutationObserver) return true;
+        if (!('MutationObserver' in window) || !document.body) return false;
+
+        mutationObserver = new MutationObserver(handleMutations);
+        mutationObserver.observe(document.body, { childList: true, subtree: true });
+        window.addEventListener('pagehide', disableAutoRescan);
+        return true;
+    }
+
+    /**
+     * 关闭自动重新扫描并丢弃尚未处理的节点
+     */
+    function disableAutoRescan() {
+        if (mutationObserver) {
+            mutationObserver.disconnect();
+            mutationObserver = null;
+        }
+        if (idleHandle !== null) {
+            cancelIdle(idleHandle);
+            idleHandle = null;
+        }
+        pendingRoots.clear();
+        window.removeEventListener('pagehide', disableAutoRescan);
+    }
+
     // 初始化懒加载
     let observer;
     
     function initLazyLoading() {
+        // 合并外部配置（wp_localize_script 注入或主题自行定义）
+        if (window.notionLazyConfig && typeof window.notionLazyConfig === 'object') {
+            Object.assign(LAZY_CONFIG, window.notionLazyConfig);
+            LAZY_CONFIG.retries = Math.max(0, parseInt(LAZY_CONFIG.retries, 10) || 0);
+            LAZY_CONFIG.retryDelay = Math.max(0, parseInt(LAZY_CONFIG.retryDelay, 10) || 0);
+        }
+
         if (supportsIntersectionObserver) {
             observer = createObserver();
             
-            // 观察所有懒加载图片
-            const lazyImages = document.querySelectorAll('img[data-src]');
-            lazyImages.forEach(img => {
-                observer.observe(img);
-            });
+            // 观察所有懒加载图片与媒体
+            const count = scanLazyElements();
             
-            console.log('Notion懒加载已启用，观察图片数量:', lazyImages.length);
+            console.log('Notion懒加载已启用，观察元素数量:', count);
         } else {
-            // 降级处理
-            fallbackLoad();
+            // 降级处理：直接加载全部元素
+            scanLazyElements();
             console.log('Notion懒加载降级模式已启用');
         }
+
+        if (LAZY_CONFIG.autoRescan) {
+            enableAutoRescan();
+        }
     }
 
     /**
-     * 重新扫描新添加的图片
+     * 重新扫描新添加的图片、媒体与嵌入（开启自动重新扫描后通常无需手动调用，保留以兼容旧代码）
      */
     function refreshLazyImages() {
-        if (!supportsIntersectionObserver) return;
-        
-        const newLazyImages = document.querySelectorAll('img[data-src]:not(.notion-lazy-observed)');
-        newLazyImages.forEach(img => {
-            img.classList.add('notion-lazy-observed');
-            observer.observe(img);
-        });
+        const count = scanLazyElements();
         
-        if (newLazyImages.length > 0) {
-            console.log('Notion懒加载新增观察图片:', newLazyImages.length);
+        if (count > 0) {
+            console.log('Notion懒加载新增观察元素:', count);
         }
     }
 
@@ -142,6 +872,13 @@
         refresh: refreshLazyImages,
         config: LAZY_CONFIG,
 
+        // 自动重新扫描（MutationObserver）
+        enableAutoRescan: enableAutoRescan,
+        disableAutoRescan: disableAutoRescan,
+        isAutoRescanEnabled: function() {
+            return mutationObserver !== null;
+        },
+
         // 新增的资源优化相关方法
         enableResourceOptimization: function() {
             if (window.NotionResourceOptimizer) {
@@ -154,9 +891,12 @@
         // 获取懒加载统计信息
         getStats: function() {
             return {
-                totalImages: document.querySelectorAll('img[data-src]').length,
+                totalImages: document.querySelectorAll(LAZY_IMAGE_SELECTOR).length,
                 loadedImages: document.querySelectorAll('img.notion-lazy-loaded').length,
                 errorImages: document.querySelectorAll('img.notion-lazy-error').length,
+                totalMedia: document.querySelectorAll('iframe[data-src], video[data-src], video > source[data-src]').length,
+                loadedMedia: document.querySelectorAll('iframe.notion-lazy-loaded, video.notion-lazy-loaded').length,
+                pendingFacades: document.querySelectorAll('.notion-embed-facade').length,
                 observerSupported: supportsIntersectionObserver
             };
         },
@@ -164,6 +904,15 @@
         // 手动触发图片加载
         loadImage: loadImage,
 
+        // 手动触发 iframe / video 加载
+        loadMedia: loadMedia,
+
+        // 解析 srcset（供灯箱选取原图候选）
+        parseSrcset: parseSrcset,
+
+        // 获取本地化文本
+        getText: t,
+
         // 预加载指定图片
         preloadImages: function(urls) {
             if (!Array.isArray(urls)) return;
@@ -190,11 +939,40 @@
 (function() {
     'use strict';
 
+    // 渐进式加载配置，可通过 window.notionLazyConfig 覆盖
+    const PROGRESSIVE_CONFIG = {
+        ajaxUrl: '',
+        mode: 'button',         // 加载方式：button（点击加载更多）| infinite（滚动到底部自动加载）
+        pageSize: 10,
+        rootMargin: '200px 0px'
+    };
+
+    if (window.notionLazyConfig) {
+        PROGRESSIVE_CONFIG.ajaxUrl = window.notionLazyConfig.ajaxUrl || '';
+        PROGRESSIVE_CONFIG.mode = window.notionLazyConfig.progressiveMode || PROGRESSIVE_CONFIG.mode;
+    }
+
+    // 正在进行的请求（容器 => Promise），避免重复加载
+    const pendingRequests = new WeakMap();
+    let infiniteObserver = null;
+
     window.NotionProgressiveLoader = {
+        config: PROGRESSIVE_CONFIG,
+
+        /**
+         * 加载下一页记录并追加到当前视图，返回 Promise<是否还有更多>
+         */
         loadMore: function(button) {
             const container = button.closest('.notion-progressive-loading');
-            const recordsData = container.dataset.records;
-            const contentContainer = container.querySelector('.notion-progressive-content');
+            if (!container) return Promise.resolve(false);
+            if (pendingRequests.has(container)) return pendingRequests.get(container);
+
+            // 旧版内容未携带分页令牌，无法继续加载
+            if (!container.dataset.token) {
+                this.finish(container);
+                return Promise.resolve(false);
+            }
+
             const loadingText = button.querySelector('.notion-loading-text');
             const loadingSpinner = button.querySelector('.notion-loading-spinner');
 
@@ -203,61 +981,189 @@
             loadingSpinner.style.display = 'inline';
             button.disabled = true;
 
-            try {
-                const data = JSON.parse(atob(recordsData));
-
-                // 模拟API调用延迟（实际项目中这里会是真实的AJAX请求）
-                setTimeout(() => {
-                    // 渲染剩余记录（这里简化处理，实际应该通过AJAX获取渲染后的HTML）
-                    const records = data.records;
-                    let html = '';
-
-                    records.forEach(record => {
-                        html += this.renderSimpleRecord(record);
-                    });
-
-                    contentContainer.innerHTML = html;
-
-                    // 隐藏加载按钮
-                    button.parentElement.style.display = 'none';
+            const request = this.fetchPage(container)
+                .then(result => {
+                    pendingRequests.delete(container);
 
                     // 刷新懒加载
                     if (window.NotionLazyLoading) {
                         window.NotionLazyLoading.refresh();
                     }
 
-                    console.log('渐进式加载完成，加载记录数:', records.length);
-                }, 500);
+                    container.dispatchEvent(new CustomEvent('notion:progressive:loaded', {
+                        bubbles: true,
+                        detail: { count: result.count, hasMore: result.hasMore }
+                    }));
+                    console.log('渐进式加载完成，加载记录数:', result.count);
+
+                    if (result.hasMore) {
+                        loadingText.textContent = '加载更多 (' + container.dataset.remaining + ')';
+                        loadingText.style.display = 'inline';
+                        loadingSpinner.style.display = 'none';
+                        button.disabled = false;
+                    } else {
+                        this.finish(container);
+                    }
+                    return result.hasMore;
+                })
+                .catch(error => {
+                    pendingRequests.delete(container);
+                    console.error('渐进式加载失败:', error);
+                    loadingText.textContent = '加载失败，请重试';
+                    loadingText.style.display = 'inline';
+                    loadingSpinner.style.display = 'none';
+                    button.disabled = false;
+                    throw error;
+                });
+
+            pendingRequests.set(container, request);
+            return request;
+        },
 
-            } catch (error) {
-                console.error('渐进式加载失败:', error);
-                loadingText.textContent = '加载失败，请重试';
-                loadingText.style.display = 'inline';
-                loadingSpinner.style.display = 'none';
-                button.disabled = false;
+        /**
+         * 连续加载直到全部记录加载完毕
+         */
+        loadAll: function(button) {
+            return this.loadMore(button).then(hasMore => hasMore ? this.loadAll(button) : false);
+        },
+
+        /**
+         * 按游标请求服务端渲染的下一页记录
+         */
+        fetchPage: function(container) {
+            if (!PROGRESSIVE_CONFIG.ajaxUrl) {
+                return Promise.reject(new Error('未配置渐进式加载接口地址'));
             }
+
+            const body = new FormData();
+            body.append('action', 'notion_load_database_records');
+            body.append('post_id', container.dataset.postId || '');
+            body.append('database_id', container.dataset.databaseId);
+            body.append('view', container.dataset.view || 'table');
+            body.append('query', container.dataset.query || '');
+            body.append('cursor', container.dataset.cursor || '0');
+            body.append('page_size', container.dataset.pageSize || PROGRESSIVE_CONFIG.pageSize);
+            body.append('token', container.dataset.token);
+
+            return fetch(PROGRESSIVE_CONFIG.ajaxUrl, {
+                method: 'POST',
+                credentials: 'same-origin',
+                body: body
+            })
+                .then(response => response.json())
+                .then(response => {
+                    if (!response || !response.success) {
+                        throw new Error(response && response.data && response.data.message || '请求失败');
+                    }
+
+                    const data = response.data;
+                    this.appendRecords(container, data);
+
+                    container.dataset.cursor = data.next_cursor || '';
+                    container.dataset.remaining = Math.max(0, data.total - (parseInt(data.next_cursor, 10) || data.total));
+                    return { count: data.count, hasMore: !!data.has_more };
+                });
         },
 
-        renderSimpleRecord: function(record) {
-            const title = this.extractTitle(record.properties);
-            return `<div class="notion-database-record">
-                <div class="notion-record-title">${title}</div>
-                <div class="notion-record-properties">
-                    <div class="notion-record-property">
-                        <span class="notion-property-name">ID:</span>
-                        <span class="notion-property-value">${record.id.substring(0, 8)}...</span>
-                    </div>
-                </div>
-            </div>`;
+        /**
+         * 将服务端渲染的记录追加到容器前的数据库视图中
+         */
+        appendRecords: function(container, data) {
+            const view = container.previousElementSibling;
+            if (!view || !view.classList.contains('notion-database')) {
+                console.warn('渐进式加载：未找到对应的数据库视图');
+                return;
+            }
+
+            if (data.view === 'board') {
+                const columns = view.querySelector('.notion-board-columns');
+                (data.groups || []).forEach(group => {
+                    const column = Array.from(view.querySelectorAll('.notion-board-column')).find(item => {
+                        const header = item.querySelector('.notion-board-header h5');
+                        return header && header.textContent === group.status;
+                    });
+
+                    if (column) {
+                        column.querySelector('.notion-board-items').insertAdjacentHTML('beforeend', group.items);
+                        const count = column.querySelector('.notion-board-count');
+                        if (count) {
+                            count.textContent = (parseInt(count.textContent, 10) || 0) + group.count;
+                        }
+                    } else if (columns) {
+                        columns.insertAdjacentHTML('beforeend', group.column);
+                    }
+                });
+                return;
+            }
+
+            const target = data.view === 'gallery'
+                ? view.querySelector('.notion-gallery-grid')
+                : view.querySelector('tbody');
+            if (target) {
+                target.insertAdjacentHTML('beforeend', data.html);
+            }
         },
 
-        extractTitle: function(properties) {
-            for (const property of Object.values(properties)) {
-                if (property.type === 'title' && property.title && property.title.length > 0) {
-                    return property.title[0].plain_text || '无标题';
+        /**
+         * 全部加载完成：隐藏按钮并停止无限滚动观察
+         */
+        finish: function(container) {
+            const trigger = container.querySelector('.notion-loading-trigger');
+            if (trigger) {
+                trigger.style.display = 'none';
+                if (infiniteObserver) {
+                    infiniteObserver.unobserve(trigger);
                 }
             }
-            return '无标题';
+            container.classList.add('notion-progressive-complete');
+        },
+
+        /**
+         * 初始化：绑定"加载更多"按钮，无限滚动模式下观察加载触发区域
+         */
+        init: function() {
+            document.addEventListener('click', event => {
+                const button = event.target.closest('.notion-progressive-loading .notion-load-more-btn');
+                if (button && !button.disabled) {
+                    event.preventDefault();
+                    this.loadMore(button).catch(() => {});
+                }
+            });
+
+            this.observeContainers();
+        },
+
+        /**
+         * 无限滚动：加载触发区域进入视口时自动加载下一页（可在容器上用 data-mode 单独指定）
+         */
+        observeContainers: function() {
+            if (!('IntersectionObserver' in window)) return;
+
+            document.querySelectorAll('.notion-progressive-loading:not(.notion-progressive-complete)').forEach(container => {
+                const mode = container.dataset.mode || PROGRESSIVE_CONFIG.mode;
+                const trigger = container.querySelector('.notion-loading-trigger');
+                if (mode !== 'infinite' || !trigger || trigger.dataset.observed) return;
+
+                if (!infiniteObserver) {
+                    infiniteObserver = new IntersectionObserver(entries => {
+                        entries.forEach(entry => {
+                            const button = entry.target.querySelector('.notion-load-more-btn');
+                            if (!entry.isIntersecting || !button || button.disabled) return;
+
+                            // 加载后触发区域仍在视口内时继续加载
+                            this.loadMore(button).then(hasMore => {
+                                if (hasMore) {
+                                    infiniteObserver.unobserve(entry.target);
+                                    infiniteObserver.observe(entry.target);
+                                }
+                            }).catch(() => {});
+                        });
+                    }, { rootMargin: PROGRESSIVE_CONFIG.rootMargin });
+                }
+
+                trigger.dataset.observed = 'true';
+                infiniteObserver.observe(trigger);
+            });
         }
     };
 
@@ -321,9 +1227,12 @@
             placeholder.innerHTML = `
                 <div class="notion-image-placeholder">
                     <span class="notion-image-icon">🖼️</span>
-                    <span class="notion-image-text">图片加载失败</span>
+                    <span class="notion-image-text"></span>
                 </div>
             `;
+            placeholder.querySelector('.notion-image-text').textContent = window.NotionLazyLoading
+                ? window.NotionLazyLoading.getText('imageLoadFailed')
+                : '图片加载失败';
 
             // 替换失败的图像
             if (img.parentNode) {
@@ -332,10 +1241,11 @@
         }
     };
 
-    // 初始化外部特色图像处理
+    // 初始化外部特色图像处理与渐进式加载
     if (document.readyState === 'loading') {
         document.addEventListener('DOMContentLoaded', () => {
             FeaturedImageHandler.init();
+            window.NotionProgressiveLoader.init();
 
             // 尝试启用资源优化
             setTimeout(() => {
@@ -346,6 +1256,7 @@
         });
     } else {
         FeaturedImageHandler.init();
+        window.NotionProgressiveLoader.init();
 
         // 尝试启用资源优化
         setTimeout(() => {
@@ -0,0 +1,658 @@
+/**
+ * Notion 图片灯箱脚本
+ *
+ * 点击文章中的 Notion 图片或数据库画廊卡片时以灯箱查看，可在文章全部图片间切换；
+ * 支持键盘（←/→/Esc/+/-/0）与触摸滑动导航、Notion 图片说明、滚轮/双指缩放与拖拽平移；
+ * 与懒加载配合：先显示已加载的缩略图，原图仅在打开时才加载。
+ *
+ * @since 2.0.0-beta.1
+ * @version 2.0.0-beta.1
+ * @package Notion_To_WordPress
+ * @author Frank-Loong
+ * @license GPL-3.0-or-later
+ * @link https://github.com/Frank-Loong/Notion-to-WordPress
+ */
+
+(function() {
+    'use strict';
+
+    // 可在灯箱中查看的图片
+    const IMAGE_SELECTOR = [
+        '.notion-image img',
+        '.notion-image-figure img',
+        'img.notion-image',
+        '.wp-block-image img[class*="wp-image-"]',
+        '.notion-gallery-cover img',
+        '.notion-board-cover img'
+    ].join(', ');
+
+    const GALLERY_CARD_SELECTOR = '.notion-database-gallery .notion-gallery-item';
+    const IMAGE_EXTENSION_PATTERN = /\.(avif|bmp|gif|jpe?g|png|svg|webp)(\?.*)?$/i;
+
+    // 缩放参数（与 Mermaid 图表缩放保持一致）
+    const MAX_SCALE = 8;
+    const ZOOM_STEP = 1.25;
+    const WHEEL_STEP = 1.1;
+    const SWIPE_THRESHOLD = 50;
+
+    // 灯箱 DOM 与状态
+    let lightbox = null;
+    let items = [];
+    let currentIndex = -1;
+    let returnFocus = null;
+    let loadToken = 0;
+
+    // 缩放与平移状态
+    let scale = 1;
+    let translateX = 0;
+    let translateY = 0;
+    const pointers = new Map();
+    let gesture = null;
+
+    /**
+     * 判断图片是否可在灯箱中查看
+     */
+    function isViewable(img) {
+        if (!img || !img.matches(IMAGE_SELECTOR)) return false;
+        if (img.closest('[data-lightbox="false"]')) return false;
+
+        // 加载失败等待点击重试的图片交给懒加载处理
+        if (img.hasAttribute('data-lazy-retry')) return false;
+
+        // 外层链接指向非图片地址时保留链接行为
+        const link = img.closest('a[href]');
+        return !link || IMAGE_EXTENSION_PATTERN.test(link.getAttribute('href'));
+    }
+
+    /**
+     * 收集文章中全部可查看的图片（按文档顺序）
+     */
+    function collectItems() {
+        return Array.from(document.querySelectorAll(IMAGE_SELECTOR)).filter(isViewable).map(img => ({
+            image: img,
+            caption: getCaption(img)
+        }));
+    }
+
+    /**
+     * 图片说明：优先使用 Notion 图片说明（figcaption），画廊卡片使用卡片标题，最后回退到 alt
+     */
+    function getCaption(img) {
+        const figure = img.closest('figure');
+        const figcaption = figure && figure.querySelector('figcaption');
+        if (figcaption && figcaption.textContent.trim()) return figcaption.textContent.trim();
+
+        const card = img.closest('.notion-gallery-item, .notion-board-item');
+        const title = card && card.querySelector('.notion-gallery-title, .notion-board-title');
+        if (title && title.textContent.trim()) return title.textContent.trim();
+
+        return (img.getAttribute('data-lazy-alt') || img.alt || '').trim();
+    }
+
+    /**
+     * 当前已显示的缩略图地址（懒加载尚未替换时为空）
+     */
+    function getPreviewUrl(img) {
+        if (img.classList.contains('notion-lazy-error')) return '';
+        if (img.dataset.src && !img.classList.contains('notion-lazy-loaded')) return '';
+        return img.currentSrc || img.src || '';
+    }
+
+    /**
+     * 过滤图片地址：仅允许 http(s) 与站内相对地址（由前端公共工具校验）
+     */
+    function sanitizeImageUrl(url) {
+        const utils = window.NotionToWordPressUtils;
+        return url && utils ? utils.sanitizeUrl(url, ['http:', 'https:']) : '';
+    }
+
+    /**
+     * 原图地址：data-full-src > 外层图片链接 > srcset 中最宽的候选 > data-src > 当前地址
+     */
+    function getFullUrl(img) {
+        const fullSrc = sanitizeImageUrl(img.dataset.fullSrc);
+        if (fullSrc) return fullSrc;
+
+        const link = img.closest('a[href]');
+        if (link && IMAGE_EXTENSION_PATTERN.test(link.getAttribute('href')) && sanitizeImageUrl(link.href)) {
+            return link.href;
+        }
+
+        const srcset = img.dataset.srcset || img.getAttribute('srcset');
+        if (srcset && window.NotionLazyLoading && window.NotionLazyLoading.parseSrcset) {
+            const widest = window.NotionLazyLoading.parseSrcset(srcset)
+                .filter(candidate => candidate.width)
+                .sort((a, b) => b.width - a.width)[0];
+            if (widest) return new URL(widest.url, window.location.href).href;
+        }
+
+        return img.dataset.src ? new URL(img.dataset.src, window.location.href).href : (img.currentSrc || img.src);
+    }
+
+    /**
+     * 创建灯箱按钮
+     */
+    function createButton(className, label, text) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'notion-lightbox-btn ' + className;
+        button.setAttribute('aria-label', label);
+        button.title = label;
+        button.textContent = text;
+        return button;
+    }
+
+    /**
+     * 首次打开时创建灯箱 DOM
+     */
+    function createLightbox() {
+        const root = document.createElement('div');
+        root.className = 'notion-lightbox';
+        root.setAttribute('role', 'dialog');
+        root.setAttribute('aria-modal', 'true');
+        root.setAttribute('aria-label', '图片查看器');
+        root.hidden = true;
+
+        const stage = document.createElement('div');
+        stage.className = 'notion-lightbox-stage';
+
+        const image = document.createElement('img');
+        image.className = 'notion-lightbox-image';
+        image.alt = '';
+        image.draggable = false;
+        stage.appendChild(image);
+
+        const spinner = document.createElement('div');
+        spinner.className = 'notion-lightbox-spinner';
+        spinner.hidden = true;
+
+        const message = document.createElement('div');
+        message.className = 'notion-lightbox-message';
+        message.hidden = true;
+
+        const toolbar = document.createElement('div');
+        toolbar.className = 'notion-lightbox-toolbar';
+
+        const counter = document.createElement('span');
+        counter.className = 'notion-lightbox-counter';
+        counter.setAttribute('aria-live', 'polite');
+
+        const zoomOutButton = createButton('notion-lightbox-zoom-out', '缩小 (-)', '−');
+        const zoomInButton = createButton('notion-lightbox-zoom-in', '放大 (+)', '+');
+        const resetButton = createButton('notion-lightbox-zoom-reset', '重置缩放 (0)', '1:1');
+        const closeButton = createButton('notion-lightbox-close', '关闭 (Esc)', '×');
+        toolbar.append(counter, zoomOutButton, zoomInButton, resetButton, closeButton);
+
+        const prevButton = createButton('notion-lightbox-prev', '上一张 (←)', '‹');
+        const nextButton = createButton('notion-lightbox-next', '下一张 (→)', '›');
+
+        const caption = document.createElement('div');
+        caption.className = 'notion-lightbox-caption';
+
+        root.append(stage, spinner, message, toolbar, prevButton, nextButton, caption);
+        document.body.appendChild(root);
+
+        zoomOutButton.addEventListener('click', zoomOut);
+        zoomInButton.addEventListener('click', zoomIn);
+        resetButton.addEventListener('click', zoomReset);
+        closeButton.addEventListener('click', close);
+        prevButton.addEventListener('click', previous);
+        nextButton.addEventListener('click', next);
+
+        // 点击背景关闭
+        stage.addEventListener('click', event => {
+            if (event.target === stage && !gesture) close();
+        });
+
+        root.addEventListener('keydown', handleKeydown);
+        stage.addEventListener('wheel', handleWheel, { passive: false });
+        stage.addEventListener('dblclick', handleDoubleClick);
+        stage.addEventListener('pointerdown', handlePointerDown);
+        stage.addEventListener('pointermove', handlePointerMove);
+        stage.addEventListener('pointerup', handlePointerUp);
+        stage.addEventListener('pointercancel', handlePointerUp);
+
+        return { root, stage, image, spinner, message, counter, caption, prevButton, nextButton, closeButton };
+    }
+
+    /**
+     * 打开灯箱：参数可以是图片元素或索引
+     */
+    function open(target) {
+        items = collectItems();
+        const index = typeof target === 'number'
+            ? target
+            : items.findIndex(item => item.image === target);
+        if (index < 0 || index >= items.length) return;
+
+        if (!lightbox) lightbox = createLightbox();
+
+        if (lightbox.root.hidden) {
+            returnFocus = document.activeElement;
+            lightbox.root.hidden = false;
+            document.documentElement.classList.add('notion-lightbox-open');
+        }
+
+        show(index);
+        lightbox.closeButton.focus({ preventScroll: true });
+
+        document.dispatchEvent(new CustomEvent('notion:lightbox:open', {
+            detail: { index: index, image: items[index].image }
+        }));
+    }
+
+    /**
+     * 关闭灯箱并将焦点还给触发元素
+     */
+    function close() {
+        if (!lightbox || lightbox.root.hidden) return;
+
+        loadToken++;
+        lightbox.root.hidden = true;
+        lightbox.image.removeAttribute('src');
+        document.documentElement.classList.remove('notion-lightbox-open');
+        pointers.clear();
+        gesture = null;
+
+        if (returnFocus && typeof returnFocus.focus === 'function') {
+            returnFocus.focus({ preventScroll: true });
+        }
+        returnFocus = null;
+        currentIndex = -1;
+
+        document.dispatchEvent(new CustomEvent('notion:lightbox:close'));
+    }
+
+    /**
+     * 显示指定图片：先用缩略图占位，再按需加载原图
+     */
+    function show(index) {
+        const count = items.length;
+        currentIndex = (index + count) % count;
+
+        const item = items[currentIndex];
+        const img = item.image;
+        const preview = getPreviewUrl(img);
+        const full = getFullUrl(img);
+        const token = ++loadToken;
+
+        zoomReset();
+        lightbox.message.hidden = true;
+        lightbox.image.alt = item.caption || img.alt || '';
+        lightbox.caption.textContent = item.caption;
+        lightbox.caption.hidden = !item.caption;
+        lightbox.counter.textContent = (currentIndex + 1) + ' / ' + count;
+        lightbox.prevButton.hidden = count < 2;
+        lightbox.nextButton.hidden = count < 2;
+
+        if (preview) {
+            lightbox.image.src = preview;
+        } else {
+            lightbox.image.removeAttribute('src');
+        }
+
+        // 页面中的缩略图尚未懒加载时一并触发，避免关闭灯箱后仍为占位图
+        if (img.dataset.src && !img.classList.contains('notion-lazy-loaded') && window.NotionLazyLoading) {
+            window.NotionLazyLoading.loadImage(img);
+        }
+
+        if (!full || full === preview) {
+            lightbox.spinner.hidden = true;
+            return;
+        }
+
+        lightbox.spinner.hidden = false;
+        const loader = new Image();
+        loader.onload = () => {
+            if (token !== loadToken) return;
+            lightbox.image.src = full;
+            lightbox.spinner.hidden = true;
+        };
+        loader.onerror = () => {
+            if (token !== loadToken) return;
+            lightbox.spinner.hidden = true;
+            if (!preview) {
+                lightbox.message.textContent = window.NotionLazyLoading
+                    ? window.NotionLazyLoading.getText('imageLoadFailed')
+                    : '图片加载失败';
+                lightbox.message.hidden = false;
+            }
+            console.warn('灯箱原图加载失败:', full);
+        };
+        loader.src = full;
+    }
+
+    function next() {
+        if (items.length > 1) show(currentIndex + 1);
+    }
+
+    function previous() {
+        if (items.length > 1) show(currentIndex - 1);
+    }
+
+    // ==================== 缩放与平移 ====================
+
+    /**
+     * 应用变换
+     */
+    function applyTransform() {
+        lightbox.image.style.transform = `translate(${translateX}px, ${translateY}px) scale(${scale})`;
+        lightbox.root.classList.toggle('notion-lightbox-zoomed', scale > 1);
+    }
+
+    /**
+     * 限制平移范围，防止图片移出可视区域
+     */
+    function constrainTranslation() {
+        const stageRect = lightbox.stage.getBoundingClientRect();
+        const width = lightbox.image.offsetWidth * scale;
+        const height = lightbox.image.offsetHeight * scale;
+        const maxX = Math.max(0, (width - stageRect.width) / 2);
+        const maxY = Math.max(0, (height - stageRect.height) / 2);
+
+        translateX = Math.max(-maxX, Math.min(maxX, translateX));
+        translateY = Math.max(-maxY, Math.min(maxY, translateY));
+    }
+
+    /**
+     * 以舞台中的某点为中心缩放（坐标相对舞台中心）
+     */
+    function zoomTo(newScale, originX, originY) {
+        const oldScale = scale;
+        scale = Math.max(1, Math.min(newScale, MAX_SCALE));
+
+        const scaleChange = scale / oldScale;
+        translateX = translateX * scaleChange + (originX || 0) * (1 - scaleChange);
+        translateY = translateY * scaleChange + (originY || 0) * (1 - scaleChange);
+
+        constrainTranslation();
+        applyTransform();
+    }
+
+    function zoomIn() {
+        zoomTo(scale * ZOOM_STEP);
+    }
+
+    function zoomOut() {
+        zoomTo(scale / ZOOM_STEP);
+    }
+
+    function zoomReset() {
+        scale = 1;
+        translateX = 0;
+        translateY = 0;
+        applyTransform();
+    }
+
+    /**
+     * 事件坐标转换为相对舞台中心的偏移
+     */
+    function getStageOffset(clientX, clientY) {
+        const rect = lightbox.stage.getBoundingClientRect();
+        return {
+            x: clientX - rect.left - rect.width / 2,
+            y: clientY - rect.top - rect.height / 2
+        };
+    }
+
+    /**
+     * 滚轮缩放，以鼠标位置为中心
+     */
+    function handleWheel(event) {
+        event.preventDefault();
+        const offset = getStageOffset(event.clientX, event.clientY);
+        zoomTo(event.deltaY < 0 ? scale * WHEEL_STEP : scale / WHEEL_STEP, offset.x, offset.y);
+    }
+
+    /**
+     * 双击在原始大小与 2 倍之间切换
+     */
+    function handleDoubleClick(event) {
+        if (scale > 1) {
+            zoomReset();
+        } else {
+            const offset = getStageOffset(event.clientX, event.clientY);
+            zoomTo(2, offset.x, offset.y);
+        }
+    }
+
+    function getPointerDistance() {
+        const [a, b] = Array.from(pointers.values());
+        return Math.hypot(a.x - b.x, a.y - b.y);
+    }
+
+    /**
+     * 指针按下：单指拖拽平移或滑动切换，双指缩放
+     */
+    function handlePointerDown(event) {
+        if (event.pointerType === 'mouse' && event.button !== 0) return;
+
+        pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+        if (lightbox.stage.setPointerCapture) {
+            lightbox.stage.setPointerCapture(event.pointerId);
+        }
+
+        if (pointers.size === 2) {
+            gesture = { type: 'pinch', distance: getPointerDistance(), scale: scale, moved: true };
+        } else if (pointers.size === 1) {
+            gesture = {
+                type: scale > 1 ? 'pan' : 'swipe',
+                startX: event.clientX,
+                startY: event.clientY,
+                lastX: event.clientX,
+                lastY: event.clientY,
+                moved: false
+            };
+        }
+    }
+
+    function handlePointerMove(event) {
+        if (!gesture || !pointers.has(event.pointerId)) return;
+        pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+
+        if (gesture.type === 'pinch' && pointers.size === 2) {
+            const points = Array.from(pointers.values());
+            const offset = getStageOffset((points[0].x + points[1].x) / 2, (points[0].y + points[1].y) / 2);
+            zoomTo(gesture.scale * getPointerDistance() / gesture.distance, offset.x, offset.y);
+            return;
+        }
+
+        if (Math.abs(event.clientX - gesture.startX) > 5 || Math.abs(event.clientY - gesture.startY) > 5) {
+            gesture.moved = true;
+        }
+
+        if (gesture.type === 'pan') {
+            translateX += event.clientX - gesture.lastX;
+            translateY += event.clientY - gesture.lastY;
+            constrainTranslation();
+            applyTransform();
+        }
+
+        gesture.lastX = event.clientX;
+        gesture.lastY = event.clientY;
+    }
+
+    /**
+     * 指针抬起：未缩放时水平滑动超过阈值则切换图片
+     */
+    function handlePointerUp(event) {
+        if (!pointers.has(event.pointerId)) return;
+        pointers.delete(event.pointerId);
+
+        if (!gesture || pointers.size > 0) return;
+
+        const finished = gesture;
+        if (finished.type === 'swipe') {
+            const deltaX = event.clientX - finished.startX;
+            const deltaY = event.clientY - finished.startY;
+            if (Math.abs(deltaX) > SWIPE_THRESHOLD && Math.abs(deltaX) > Math.abs(deltaY)) {
+                deltaX < 0 ? next() : previous();
+            }
+        }
+
+        // 拖拽结束后紧随的 click 不应关闭灯箱
+        if (finished.moved) {
+            setTimeout(() => { gesture = null; }, 0);
+        } else {
+            gesture = null;
+        }
+    }
+
+    // ==================== 键盘 ====================
+
+    /**
+     * 灯箱内键盘操作，Tab 焦点限制在灯箱内
+     */
+    function handleKeydown(event) {
+        switch (event.key) {
+            case 'Escape':
+                event.preventDefault();
+                close();
+                break;
+            case 'ArrowRight':
+                event.preventDefault();
+                next();
+                break;
+            case 'ArrowLeft':
+                event.preventDefault();
+                previous();
+                break;
+            case '+':
+            case '=':
+                event.preventDefault();
+                zoomIn();
+                break;
+            case '-':
+                event.preventDefault();
+                zoomOut();
+                break;
+            case '0':
+                event.preventDefault();
+                zoomReset();
+                break;
+            case 'Tab': {
+                const focusable = Array.from(lightbox.root.querySelectorAll('button')).filter(button => !button.hidden);
+                const first = focusable[0];
+                const last = focusable[focusable.length - 1];
+                if (event.shiftKey && document.activeElement === first) {
+                    event.preventDefault();
+                    last.focus();
+                } else if (!event.shiftKey && document.activeElement === last) {
+                    event.preventDefault();
+                    first.focus();
+                }
+                break;
+            }
+        }
+    }
+
+    // ==================== 触发 ====================
+
+    /**
+     * 由点击目标找到要打开的图片：图片本身或带封面的画廊卡片
+     */
+    function getTriggerImage(target) {
+        const img = target.closest('img');
+        if (img && isViewable(img)) return img;
+
+        // 键盘激活外层图片链接时，事件目标是链接本身
+        const link = target.closest('a[href]');
+        const linked = link && !img ? link.querySelector('img') : null;
+        if (linked && isViewable(linked)) return linked;
+
+        const card = target.closest(GALLERY_CARD_SELECTOR);
+        if (card && !target.closest('a[href], button')) {
+            const cover = card.querySelector('.notion-gallery-cover img');
+            return cover && isViewable(cover) ? cover : null;
+        }
+        return null;
+    }
+
+    /**
+     * 使可在灯箱中打开的图片可通过键盘打开，不再可打开的图片移除标记
+     *
+     * 位于图片链接中的图片由链接本身获得焦点，不额外加入 Tab 顺序
+     */
+    function markTriggers() {
+        document.querySelectorAll(IMAGE_SELECTOR).forEach(img => {
+            const viewable = isViewable(img);
+            if (img.dataset.lightboxReady) {
+                if (!viewable) unmarkTrigger(img);
+                return;
+            }
+            if (!viewable) return;
+
+            img.dataset.lightboxReady = 'true';
+            img.classList.add('notion-lightbox-trigger');
+            img.setAttribute('aria-haspopup', 'dialog');
+            if (!img.hasAttribute('tabindex') && !img.closest('a[href]')) {
+                img.tabIndex = 0;
+                img.dataset.lightboxTabindex = 'true';
+            }
+        });
+    }
+
+    /**
+     * 移除触发标记及由灯箱添加的 tabindex
+     */
+    function unmarkTrigger(img) {
+        delete img.dataset.lightboxReady;
+        img.classList.remove('notion-lightbox-trigger');
+        img.removeAttribute('aria-haspopup');
+        if (img.dataset.lightboxTabindex) {
+            delete img.dataset.lightboxTabindex;
+            // 懒加载的"点击重试"会自行管理 tabindex
+            if (!img.hasAttribute('data-lazy-retry')) img.removeAttribute('tabindex');
+        }
+    }
+
+    /**
+     * 初始化：委托点击与键盘事件，渐进式加载后标记新图片
+     */
+    function init() {
+        markTriggers();
+
+        document.addEventListener('click', event => {
+            if (event.defaultPrevented || event.button !== 0 || event.ctrlKey || event.metaKey || event.shiftKey) return;
+            if (lightbox && lightbox.root.contains(event.target)) return;
+
+            const img = getTriggerImage(event.target);
+            if (img) {
+                event.preventDefault();
+                open(img);
+            }
+        });
+
+        document.addEventListener('keydown', event => {
+            if ((event.key === 'Enter' || event.key === ' ') && event.target.classList &&
+                event.target.classList.contains('notion-lightbox-trigger') && isViewable(event.target)) {
+                event.preventDefault();
+                open(event.target);
+            }
+        });
+
+        document.addEventListener('notion:progressive:loaded', markTriggers);
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+
+    // 暴露全局方法
+    window.NotionLightbox = {
+        open: open,
+        close: close,
+        next: next,
+        previous: previous,
+        zoomIn: zoomIn,
+        zoomOut: zoomOut,
+        zoomReset: zoomReset,
+        refresh: markTriggers,
+        isOpen: function() {
+            return !!lightbox && !lightbox.root.hidden;
+        }
+    };
+
+})();
@@ -0,0 +1,120 @@
+/**
+ * 前端公共工具脚本
+ *
+ * 提供各前端脚本共用的 HTML 转义、URL 过滤、剪贴板复制与提示消息函数。
+ *
+ * @since 2.0.0-beta.1
+ * @version 2.0.0-beta.1
+ * @package Notion_To_WordPress
+ * @author Frank-Loong
+ * @license GPL-3.0-or-later
+ * @link https://github.com/Frank-Loong/Notion-to-WordPress
+ */
+
+(function() {
+    'use strict';
+
+    const HTML_ESCAPES = {
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#39;',
+        '`': '&#96;'
+    };
+
+    // 默认允许的链接协议
+    const SAFE_PROTOCOLS = ['http:', 'https:', 'mailto:', 'tel:'];
+
+    /**
+     * HTML 转义，null/undefined 输出空字符串
+     */
+    function escapeHtml(value) {
+        if (value === null || value === undefined) return '';
+        return String(value).replace(/[&<>"'`]/g, char => HTML_ESCAPES[char]);
+    }
+
+    /**
+     * 过滤链接地址：仅保留允许的协议与站内相对地址，其余（如 javascript:）返回空字符串
+     */
+    function sanitizeUrl(url, protocols) {
+        if (!url) return '';
+        const allowed = protocols || SAFE_PROTOCOLS;
+
+        try {
+            const parsed = new URL(String(url), window.location.href);
+            return allowed.indexOf(parsed.protocol) !== -1 ? String(url) : '';
+        } catch (e) {
+            return '';
+        }
+    }
+
+    /**
+     * 复制文本到剪贴板，不支持 Clipboard API 或调用失败时退回 execCommand
+     */
+    function copyText(text) {
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            return navigator.clipboard.writeText(text).catch((err) => {
+                console.error('复制失败:', err);
+                return fallbackCopy(text);
+            });
+        }
+        return fallbackCopy(text);
+    }
+
+    /**
+     * 备用复制方法
+     */
+    function fallbackCopy(text) {
+        return new Promise((resolve, reject) => {
+            try {
+                const textArea = document.createElement('textarea');
+                textArea.value = text;
+                textArea.style.position = 'fixed';
+                textArea.style.opacity = '0';
+                document.body.appendChild(textArea);
+                textArea.select();
+                textArea.setSelectionRange(0, 99999); // 移动端兼容
+                const successful = document.execCommand('copy');
+                document.body.removeChild(textArea);
+
+                if (successful) {
+                    resolve();
+                } else {
+                    reject(new Error('execCommand copy 失败'));
+                }
+            } catch (err) {
+                console.error('备用复制方法失败:', err);
+                reject(err);
+            }
+        });
+    }
+
+    /**
+     * 显示提示消息，默认 3 秒后自动消失
+     */
+    function showToast(message, duration) {
+        const toast = document.createElement('div');
+        toast.className = 'notion-toast';
+        toast.setAttribute('role', 'status');
+        toast.textContent = message;
+        document.body.appendChild(toast);
+
+        // 显示动画
+        setTimeout(() => toast.classList.add('notion-toast-show'), 10);
+
+        setTimeout(() => {
+            toast.classList.remove('notion-toast-show');
+            setTimeout(() => toast.remove(), 300);
+        }, duration || 3000);
+    }
+
+    // 暴露全局方法
+    window.NotionToWordPressUtils = {
+        escapeHtml: escapeHtml,
+        sanitizeUrl: sanitizeUrl,
+        copyText: copyText,
+        showToast: showToast
+    };
+
+})();
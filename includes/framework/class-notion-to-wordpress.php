@@ -21,6 +21,15 @@ if (!defined('ABSPATH')) {
 
 class Notion_To_WordPress {
 
+	// 公式安全策略拦截记录（非自动加载的选项）、保留条数及每篇文章的上报间隔（秒）
+	const BLOCKED_FORMULA_OPTION = 'notion_to_wordpress_blocked_formulas';
+	const BLOCKED_FORMULA_LIMIT = 50;
+	const BLOCKED_FORMULA_RATE_LIMIT = 600;
+
+	// Notion 页面链接解析：单次 AJAX 查询上限及结果缓存时长（秒）
+	const PAGE_LINK_BATCH_SIZE = 20;
+	const PAGE_LINK_CACHE_TTL = 3600;
+
 	/**
 	 * 负责维护和注册所有驱动插件功能的钩子的加载器。
 	 *
@@ -254,6 +263,7 @@ class Notion_To_WordPress {
 		$this->loader->add_action( 'wp_ajax_notion_to_wordpress_test_connection', $this->admin, 'handle_test_connection' );
 		$this->loader->add_action( 'wp_ajax_notion_to_wordpress_get_stats', $this->admin, 'handle_get_stats' );
 		$this->loader->add_action( 'wp_ajax_notion_to_wordpress_clear_logs', $this->admin, 'handle_clear_logs' );
+		$this->loader->add_action( 'wp_ajax_notion_to_wordpress_clear_blocked_formulas', $this->admin, 'handle_clear_blocked_formulas' );
 		$this->loader->add_action( 'wp_ajax_notion_to_wordpress_view_log', $this->admin, 'handle_view_log' );
 		$this->loader->add_action( 'wp_ajax_notion_to_wordpress_test_debug', $this->admin, 'handle_test_debug' );
 		$this->loader->add_action( 'wp_ajax_notion_to_wordpress_refresh_verification_token', $this->admin, 'handle_refresh_verification_token' );
@@ -313,6 +323,24 @@ class Notion_To_WordPress {
 
 		// 初始化特色图像支持
 		$this->loader->add_action( 'init', 'Notion_To_WordPress_Integrator', 'init_featured_image_support' );
+
+		// 前端跨页面区块链接解析
+		$this->loader->add_action( 'wp_ajax_notion_resolve_page_links', $this, 'ajax_resolve_page_links' );
+		$this->loader->add_action( 'wp_ajax_nopriv_notion_resolve_page_links', $this, 'ajax_resolve_page_links' );
+		$this->loader->add_action( 'added_post_meta', $this, 'flush_page_link_cache', 10, 4 );
+		$this->loader->add_action( 'updated_post_meta', $this, 'flush_page_link_cache', 10, 4 );
+		$this->loader->add_action( 'delete_post_meta', $this, 'flush_page_link_cache', 10, 4 );
+		$this->loader->add_action( 'deleted_post_meta', $this, 'flush_page_link_cache', 10, 4 );
+		$this->loader->add_action( 'transition_post_status', $this, 'flush_page_link_cache_on_status_change', 10, 3 );
+
+		// 数据库视图渐进式加载
+		$this->loader->add_filter( 'the_content', $this, 'add_progressive_loading_tokens', 20 );
+		$this->loader->add_action( 'wp_ajax_notion_load_database_records', $this, 'ajax_load_database_records' );
+		$this->loader->add_action( 'wp_ajax_nopriv_notion_load_database_records', $this, 'ajax_load_database_records' );
+
+		// 公式安全策略拦截上报
+		$this->loader->add_action( 'wp_ajax_notion_report_blocked_formulas', $this, 'ajax_report_blocked_formulas' );
+		$this->loader->add_action( 'wp_ajax_nopriv_notion_report_blocked_formulas', $this, 'ajax_report_blocked_formulas' );
 	}
 
 	/**
@@ -541,6 +569,15 @@ class Notion_To_WordPress {
 			$this->version
 		);
 
+		// 前端公共工具（HTML 转义、URL 过滤、剪贴板复制与提示消息），供其他前端脚本依赖
+		wp_enqueue_script(
+			$this->plugin_name . '-utils',
+			Notion_To_WordPress_Helper::plugin_url('assets/js/notion-utils.js'),
+			array(),
+			$this->version,
+			true
+		);
+
 		// ---------------- 宽松加载：公式和图表相关（KaTeX & Mermaid） ----------------
 		// 在前端页面总是加载KaTeX和Mermaid资源，确保首页摘要等场景也能正常渲染
 		if (true) { // 总是加载，确保兼容性
@@ -715,10 +752,17 @@ class Notion_To_WordPress {
 			wp_enqueue_script(
 				$this->plugin_name . '-katex-mermaid',
 				Notion_To_WordPress_Helper::plugin_url('assets/js/katex-mermaid.js'),
-				array('jquery', 'katex', 'katex-mhchem', 'katex-auto-render'),
+				array('jquery', 'katex', 'katex-mhchem', 'katex-auto-render', $this->plugin_name . '-utils'),
 				$this->version,
 				true
 			);
+
+			// 传递公式宏等 KaTeX 配置到前端
+			wp_localize_script(
+				$this->plugin_name . '-katex-mermaid',
+				'notionKatexConfig',
+				$this->get_katex_config()
+			);
 		} // 结束数学支持条件加载
 
 		// 条件加载：仅在启用Mermaid支持时加载（已在上面的KaTeX部分统一处理）
@@ -728,11 +772,36 @@ class Notion_To_WordPress {
 		wp_enqueue_script(
 			$this->plugin_name . '-lazy-loading',
 			Notion_To_WordPress_Helper::plugin_url('assets/js/lazy-loading.js'),
+			array($this->plugin_name . '-utils'),
+			$this->version,
+			true
+		);
+
+		// 传递懒加载配置到前端
+		wp_localize_script(
+			$this->plugin_name . '-lazy-loading',
+			'notionLazyConfig',
+			$this->get_lazy_loading_config()
+		);
+
+		// 数据库视图工具栏（搜索、筛选与排序）
+		wp_enqueue_script(
+			$this->plugin_name . '-database-toolbar',
+			Notion_To_WordPress_Helper::plugin_url('assets/js/database-toolbar.js'),
 			array(),
 			$this->version,
 			true
 		);
 
+		// 图片灯箱（原图在打开时才加载，依赖懒加载解析 srcset）
+		wp_enqueue_script(
+			$this->plugin_name . '-lightbox',
+			Notion_To_WordPress_Helper::plugin_url('assets/js/lightbox.js'),
+			array($this->plugin_name . '-utils', $this->plugin_name . '-lazy-loading'),
+			$this->version,
+			true
+		);
+
 		// 前端资源优化脚本
 		wp_enqueue_script(
 			$this->plugin_name . '-resource-optimizer',
@@ -754,10 +823,17 @@ class Notion_To_WordPress {
 		wp_enqueue_script(
 			$this->plugin_name . '-anchor-navigation',
 			Notion_To_WordPress_Helper::plugin_url('assets/js/anchor-navigation.js'),
-			array(),
+			array($this->plugin_name . '-utils'),
 			$this->version,
 			true
 		);
+
+		// 传递锚点滚动配置到前端
+		wp_localize_script(
+			$this->plugin_name . '-anchor-navigation',
+			'notionAnchorConfig',
+			$this->get_anchor_config()
+		);
 	}
 
 	/**
@@ -965,6 +1041,376 @@ class Notion_To_WordPress {
 		return apply_filters('notion_cdn_config', $cdn_config);
 	}
 
+	/**
+	 * 获取懒加载配置
+	 *
+	 * 自动重新扫描默认关闭，主题使用无限滚动或 AJAX 页面切换时可通过过滤器开启；
+	 * 同时提供失败重试参数、占位图的本地化文本，以及数据库视图渐进式加载的接口地址与模式（button | infinite）
+	 *
+	 * @since 2.0.0-beta.1
+	 * @return array 懒加载配置数组
+	 */
+	private function get_lazy_loading_config(): array {
+		$lazy_config = [
+			'autoRescan' => false,
+			'ajaxUrl' => admin_url('admin-ajax.php'),
+			'progressiveMode' => 'button',
+			'retries' => 2,
+			'retryDelay' => 1000,
+			'i18n' => [
+				'imageLoadFailed' => __('图片加载失败', 'notion-to-wordpress'),
+				'tapToRetry' => __('点击重试', 'notion-to-wordpress')
+			]
+		];
+
+		// 应用过滤器，允许主题或其他插件修改配置
+		return apply_filters('notion_lazy_loading_config', $lazy_config);
+	}
+
+	/**
+	 * 获取 KaTeX 配置
+	 *
+	 * 全站公式宏来自插件设置（JSON），文章内的宏由前端从 data-katex-macros 读取后按顺序合并；
+	 * 安全策略决定前端 trust 回调的白名单，被拦截的公式通过 AJAX 上报；
+	 * 默认同时输出 MathML，并以朗读文本或原始 TeX 作为 aria-label；可选为块级公式自动编号
+	 *
+	 * @since 2.0.0-beta.1
+	 * @return array KaTeX配置数组
+	 */
+	private function get_katex_config(): array {
+		$options = get_option('notion_to_wordpress_options', []);
+
+		$macros = json_decode($options['katex_macros'] ?? '', true);
+
+		$katex_config = [
+			'macros' => (object) (is_array($macros) ? $macros : []),
+			'globalGroup' => (bool) ($options['katex_global_group'] ?? false),
+			'securityProfile' => $options['katex_security_profile'] ?? 'balanced',
+			'output' => ($options['katex_mathml'] ?? 1) ? 'htmlAndMathml' : 'html',
+			'ariaLabel' => $options['katex_aria_label'] ?? 'speech',
+			'equationNumbering' => (bool) ($options['katex_equation_numbering'] ?? false),
+			'reportUrl' => admin_url('admin-ajax.php'),
+			'reportNonce' => wp_create_nonce('notion_katex_report'),
+			'postId' => is_singular() ? get_queried_object_id() : 0
+		];
+
+		// 应用过滤器，允许主题或其他插件修改配置
+		return apply_filters('notion_katex_config', $katex_config);
+	}
+
+	/**
+	 * 获取锚点导航配置
+	 *
+	 * 为前端锚点导航脚本提供头部偏移与滚动策略
+	 *
+	 * @since 2.0.0-beta.1
+	 * @return array 锚点配置数组
+	 */
+	private function get_anchor_config(): array {
+		$options = get_option('notion_to_wordpress_options', []);
+
+		$header_offset = $options['anchor_header_offset'] ?? '';
+		$keyboard_nav = $options['anchor_keyboard_nav'] ?? '';
+
+		$anchor_config = [
+			'headerSelectors' => $options['anchor_header_selectors'] ?? '',
+			'offset' => $header_offset === '' ? null : intval($header_offset),
+			'align' => $options['anchor_scroll_align'] ?? 'center',
+			'duration' => intval($options['anchor_scroll_duration'] ?? 0),
+			'liveOffset' => (bool) ($options['anchor_live_offset'] ?? true),
+			'keyboardNav' => in_array($keyboard_nav, ['blocks', 'headings'], true) ? $keyboard_nav : false,
+			'readingProgress' => (bool) ($options['anchor_reading_progress'] ?? true),
+			'resumeReading' => (bool) ($options['anchor_resume_reading'] ?? true),
+			'pageLinks' => (object) $this->get_notion_page_links(),
+			'ajaxUrl' => admin_url('admin-ajax.php'),
+			'pageLinksNonce' => wp_create_nonce('notion_resolve_page_links'),
+			'pageLinksBatchSize' => self::PAGE_LINK_BATCH_SIZE
+		];
+
+		// 应用过滤器，允许主题或其他插件修改配置
+		return apply_filters('notion_anchor_config', $anchor_config);
+	}
+
+	/**
+	 * 收集当前文章引用的 Notion 页面，并映射为 WordPress 永久链接
+	 *
+	 * @since 2.0.0-beta.1
+	 * @return array Notion页面ID（32位无连字符） => 永久链接
+	 */
+	private function get_notion_page_links(): array {
+		if (!is_singular()) {
+			return [];
+		}
+
+		$post = get_queried_object();
+		if (!$post instanceof WP_Post) {
+			return [];
+		}
+
+		if (!preg_match_all('/notion\.(?:so|site)\/(?:[^"\'\s?#]*-)?([a-f0-9]{32}|[a-f0-9-]{36})/i', $post->post_content, $matches)) {
+			return [];
+		}
+
+		// 限制数量，避免超长文章输出过大的映射表；其余链接在点击或渲染时按需查询
+		$page_ids = array_slice(array_unique($matches[1]), 0, 50);
+
+		return self::resolve_notion_page_links($page_ids);
+	}
+
+	/**
+	 * 将 Notion 页面ID批量解析为已发布文章的永久链接
+	 *
+	 * @since 2.0.0-beta.1
+	 * @param array $page_ids Notion页面ID列表（32位或36位）
+	 * @return array Notion页面ID（32位无连字符） => 永久链接，未同步的页面不包含在内
+	 */
+	public static function resolve_notion_page_links(array $page_ids): array {
+		$links = [];
+
+		foreach ($page_ids as $page_id) {
+			$page_id = strtolower(str_replace('-', '', (string) $page_id));
+			if (strlen($page_id) !== 32 || !ctype_xdigit($page_id) || isset($links[$page_id])) {
+				continue;
+			}
+
+			// 结果（含未同步的空结果）按页面缓存，避免重复的 postmeta 查询
+			$cache_key = 'notion_page_link_' . $page_id;
+			$cached = get_transient($cache_key);
+			if (is_array($cached)) {
+				if ($cached['permalink'] !== '') {
+					$links[$page_id] = $cached['permalink'];
+				}
+				continue;
+			}
+
+			$permalink = self::lookup_notion_page_link($page_id);
+			set_transient($cache_key, ['permalink' => $permalink], self::PAGE_LINK_CACHE_TTL);
+
+			if ($permalink !== '') {
+				$links[$page_id] = $permalink;
+			}
+		}
+
+		return $links;
+	}
+
+	/**
+	 * 查询单个 Notion 页面对应的已发布文章永久链接，未同步或未发布时返回空字符串
+	 *
+	 * @since 2.0.0-beta.1
+	 * @param string $page_id 32位无连字符的 Notion 页面ID
+	 * @return string 永久链接
+	 */
+	private static function lookup_notion_page_link(string $page_id): string {
+		$notion_url = 'https://www.notion.so/' . $page_id;
+		$permalink = Notion_Text_Processor::convert_notion_page_to_wordpress($notion_url);
+		if ($permalink === $notion_url) {
+			return '';
+		}
+
+		// 仅公开已发布的文章
+		$post_id = url_to_postid($permalink);
+		if ($post_id > 0 && get_post_status($post_id) !== 'publish') {
+			return '';
+		}
+
+		return $permalink;
+	}
+
+	/**
+	 * 文章关联或取消关联 Notion 页面时清除该页面的永久链接缓存
+	 *
+	 * @since 2.0.0-beta.1
+	 */
+	public function flush_page_link_cache($meta_id, $post_id, $meta_key, $meta_value) {
+		if ($meta_key !== '_notion_page_id') {
+			return;
+		}
+
+		// 按键删除时不带值，在 delete_post_meta（删除前）从文章读取
+		if (!is_string($meta_value) || $meta_value === '') {
+			$meta_value = get_post_meta($post_id, '_notion_page_id', true);
+		}
+		self::delete_page_link_cache($meta_value);
+	}
+
+	/**
+	 * 文章状态变化（发布、转为私密、移入回收站等）时清除对应 Notion 页面的永久链接缓存
+	 *
+	 * @since 2.0.0-beta.1
+	 */
+	public function flush_page_link_cache_on_status_change($new_status, $old_status, $post) {
+		if ($post instanceof WP_Post) {
+			self::delete_page_link_cache(get_post_meta($post->ID, '_notion_page_id', true));
+		}
+	}
+
+	/**
+	 * 删除单个 Notion 页面的永久链接缓存
+	 *
+	 * @since 2.0.0-beta.1
+	 * @param mixed $page_id Notion页面ID（32位或36位）
+	 */
+	private static function delete_page_link_cache($page_id) {
+		if (is_string($page_id) && $page_id !== '') {
+			delete_transient('notion_page_link_' . strtolower(str_replace('-', '', $page_id)));
+		}
+	}
+
+	/**
+	 * AJAX：解析 Notion 页面ID对应的 WordPress 永久链接
+	 *
+	 * @since 2.0.0-beta.1
+	 */
+	public function ajax_resolve_page_links() {
+		if (!check_ajax_referer('notion_resolve_page_links', 'nonce', false)) {
+			wp_send_json_error(['message' => __('无效的请求', 'notion-to-wordpress')], 403);
+		}
+
+		$page_ids = isset($_POST['page_ids']) ? (array) wp_unslash($_POST['page_ids']) : [];
+		$page_ids = array_slice(array_map('sanitize_text_field', $page_ids), 0, self::PAGE_LINK_BATCH_SIZE);
+
+		wp_send_json_success((object) self::resolve_notion_page_links($page_ids));
+	}
+
+	/**
+	 * 输出文章内容时为渐进式加载容器写入与当前文章绑定的请求令牌
+	 *
+	 * @since 2.0.0-beta.1
+	 * @param string $content 文章内容
+	 * @return string 处理后的内容
+	 */
+	public function add_progressive_loading_tokens( $content ) {
+		return Notion_Database_Renderer::add_progressive_tokens( (string) $content, (int) get_the_ID() );
+	}
+
+	/**
+	 * AJAX：按游标加载数据库视图的下一页记录（服务端渲染的 HTML）
+	 *
+	 * @since 2.0.0-beta.1
+	 */
+	public function ajax_load_database_records() {
+		$post_id = absint($_POST['post_id'] ?? 0);
+		$database_id = sanitize_text_field(wp_unslash($_POST['database_id'] ?? ''));
+		$token = sanitize_text_field(wp_unslash($_POST['token'] ?? ''));
+		$view_type = sanitize_key(wp_unslash($_POST['view'] ?? ''));
+		$query = json_decode(wp_unslash($_POST['query'] ?? ''), true);
+		$query = Notion_Database_Renderer::normalize_view_query(is_array($query) ? $query : []);
+		$cursor = absint($_POST['cursor'] ?? 0);
+		$page_size = absint($_POST['page_size'] ?? 0) ?: Notion_Database_Renderer::PROGRESSIVE_PAGE_SIZE;
+		$page_size = min(50, $page_size);
+
+		// 令牌绑定文章、视图与查询条件，篡改任一参数或文章不再公开时均拒绝
+		if (!Notion_Database_Renderer::verify_progressive_token($post_id, $database_id, $view_type, $query, $token)) {
+			wp_send_json_error(['message' => __('无效的请求', 'notion-to-wordpress')], 403);
+		}
+
+		try {
+			wp_send_json_success(
+				Notion_Database_Renderer::render_records_page($database_id, $view_type, $cursor, $page_size, $this->notion_api, $query)
+			);
+		} catch (Exception $e) {
+			Notion_Logger::error_log(
+				'渐进式加载记录失败: ' . $database_id . ', 错误: ' . $e->getMessage(),
+				'Database Block'
+			);
+			wp_send_json_error(['message' => __('加载失败，请重试', 'notion-to-wordpress')], 500);
+		}
+	}
+
+	/**
+	 * AJAX：记录被 KaTeX 安全策略拦截的公式，供后台查看
+	 *
+	 * @since 2.0.0-beta.1
+	 */
+	public function ajax_report_blocked_formulas() {
+		if (!check_ajax_referer('notion_katex_report', 'nonce', false)) {
+			wp_send_json_error(['message' => __('无效的请求', 'notion-to-wordpress')], 403);
+		}
+
+		$post_id = absint($_POST['post_id'] ?? 0);
+		$profile = sanitize_key(wp_unslash($_POST['profile'] ?? ''));
+		$formulas = json_decode(wp_unslash($_POST['formulas'] ?? ''), true);
+
+		if (!is_array($formulas) || !$post_id || get_post_status($post_id) !== 'publish' ||
+			!in_array($profile, ['strict', 'balanced', 'permissive'], true)) {
+			wp_send_json_error(['message' => __('无效的请求', 'notion-to-wordpress')], 400);
+		}
+
+		// 每篇文章在限流周期内只接受一次上报，避免匿名请求反复写入选项与日志
+		$rate_key = 'notion_katex_report_' . $post_id;
+		if (get_transient($rate_key)) {
+			wp_send_json_success();
+		}
+		set_transient($rate_key, 1, self::BLOCKED_FORMULA_RATE_LIMIT);
+
+		// 只记录确实出现在该文章内容中的公式
+		$content = get_post_field('post_content', $post_id);
+		$decoded_content = html_entity_decode($content, ENT_QUOTES, 'UTF-8');
+
+		$reports = self::get_blocked_formula_reports();
+		$changed = false;
+
+		foreach (array_slice($formulas, 0, 10) as $formula) {
+			if (!is_array($formula) || !isset($formula['tex'], $formula['blocked']) || !is_array($formula['blocked'])) {
+				continue;
+			}
+
+			$tex = sanitize_textarea_field($formula['tex']);
+			if ($tex === '' || (strpos($content, $tex) === false && strpos($decoded_content, $tex) === false)) {
+				continue;
+			}
+			$tex = mb_substr($tex, 0, 200);
+			$blocked = array_slice(array_map('sanitize_text_field', $formula['blocked']), 0, 5);
+			$key = md5($post_id . '|' . $tex);
+
+			// 同一文章的同一公式只保留最新一条
+			unset($reports[$key]);
+			$reports[$key] = [
+				'time' => time(),
+				'post_id' => $post_id,
+				'profile' => $profile,
+				'tex' => $tex,
+				'blocked' => $blocked
+			];
+			$changed = true;
+
+			Notion_Logger::warning_log(
+				sprintf('文章 %d 的公式被安全策略（%s）拦截: %s, 公式: %s', $post_id, $profile, implode(', ', $blocked), $tex),
+				'KaTeX Security'
+			);
+		}
+
+		if ($changed) {
+			$reports = array_slice($reports, -self::BLOCKED_FORMULA_LIMIT, null, true);
+			update_option(self::BLOCKED_FORMULA_OPTION, $reports, false);
+		}
+
+		wp_send_json_success();
+	}
+
+	/**
+	 * 获取被公式安全策略拦截的记录（按时间从旧到新）
+	 *
+	 * @since 2.0.0-beta.1
+	 * @return array 以公式哈希为键的拦截记录
+	 */
+	public static function get_blocked_formula_reports(): array {
+		$reports = get_option(self::BLOCKED_FORMULA_OPTION, []);
+		return is_array($reports) ? $reports : [];
+	}
+
+	/**
+	 * 清空公式拦截记录
+	 *
+	 * @since 2.0.0-beta.1
+	 * @return bool 是否成功
+	 */
+	public static function clear_blocked_formula_reports(): bool {
+		delete_option(self::BLOCKED_FORMULA_OPTION);
+		return true;
+	}
+
 	/**
 	 * 获取资源优化统计信息
 	 *
@@ -319,10 +319,11 @@ class Notion_API {
      * @param    string    $database_id    Notion 数据库的 ID。
      * @param    array<string, mixed>     $filter         应用于查询的筛选条件。
      * @param    bool      $with_details   是否获取页面详细信息（包括cover、icon等）。
+     * @param    array<int, mixed>        $sorts          排序条件，为空时使用 Notion 默认顺序。
      * @return   array<string, mixed>                     页面对象数组。
      * @throws   Exception             如果 API 请求失败。
      */
-    public function get_database_pages(string $database_id, array $filter = [], bool $with_details = false): array {
+    public function get_database_pages(string $database_id, array $filter = [], bool $with_details = false, array $sorts = []): array {
 
         Notion_Logger::debug_log(
             '获取数据库页面（实时）: ' . $database_id . ', 详细信息: ' . ($with_details ? '是' : '否'),
@@ -350,6 +351,10 @@ class Notion_API {
                 $data['filter'] = $filter;
             }
 
+            if (!empty($sorts)) {
+                $data['sorts'] = $sorts;
+            }
+
             if ($start_cursor) {
                 $data['start_cursor'] = $start_cursor;
             }
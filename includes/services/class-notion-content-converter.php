@@ -565,6 +565,12 @@ class Notion_Content_Converter {
             return '<pre class="mermaid" data-original-code="' . esc_attr($mermaid_code) . '">' . $mermaid_code . '</pre>';
         }
 
+        // KaTeX 宏定义：首行为 "% katex-macros" 的 LaTeX 代码块作为本文的公式宏，不直接显示
+        if (in_array($language, ['latex', 'tex'], true) && preg_match('/^\s*%\s*katex-macros\b[^\n]*\n?/i', $code_content, $matches)) {
+            $definitions = trim(substr($code_content, strlen($matches[0])));
+            return '<div class="notion-katex-macros" data-katex-macros="' . esc_attr($definitions) . '" hidden></div>';
+        }
+
         $escaped_code = esc_html($code_content);
         return '<pre><code class="language-' . esc_attr($language) . '">' . $escaped_code . '</code></pre>';
     }
@@ -748,7 +754,7 @@ class Notion_Content_Converter {
                 $video_id = $matches[1];
             }
             if ($video_id) {
-                return '<div class="notion-embed notion-embed-youtube"><iframe width="560" height="315" src="https://www.youtube.com/embed/' . esc_attr($video_id) . '" frameborder="0" allow="accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture" allowfullscreen></iframe></div>';
+                return '<div class="notion-embed notion-embed-youtube"><iframe width="560" height="315" src="https://www.youtube.com/embed/' . esc_attr($video_id) . '" data-facade="youtube" loading="lazy" frameborder="0" allow="accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture" allowfullscreen></iframe></div>';
             }
         } elseif (strpos($url, 'vimeo.com') !== false) {
             // Vimeo视频
@@ -757,7 +763,7 @@ class Notion_Content_Converter {
                 $video_id = $matches[2];
             }
             if ($video_id) {
-                return '<div class="notion-embed notion-embed-vimeo"><iframe src="https://player.vimeo.com/video/' . esc_attr($video_id) . '" width="560" height="315" frameborder="0" allow="autoplay; fullscreen; picture-in-picture" allowfullscreen></iframe></div>';
+                return '<div class="notion-embed notion-embed-vimeo"><iframe src="https://player.vimeo.com/video/' . esc_attr($video_id) . '" data-facade="vimeo" loading="lazy" width="560" height="315" frameborder="0" allow="autoplay; fullscreen; picture-in-picture" allowfullscreen></iframe></div>';
             }
         } elseif (strpos($url, 'bilibili.com') !== false) {
             // Bilibili视频
@@ -766,13 +772,13 @@ class Notion_Content_Converter {
                 $video_id = $matches[1];
             }
             if ($video_id) {
-                return '<div class="notion-embed notion-embed-bilibili"><iframe src="//player.bilibili.com/player.html?bvid=' . esc_attr($video_id) . '&page=1" scrolling="no" border="0" frameborder="no" framespacing="0" allowfullscreen="true" width="560" height="315"></iframe></div>';
+                return '<div class="notion-embed notion-embed-bilibili"><iframe src="//player.bilibili.com/player.html?bvid=' . esc_attr($video_id) . '&page=1" loading="lazy" scrolling="no" border="0" frameborder="no" framespacing="0" allowfullscreen="true" width="560" height="315"></iframe></div>';
             }
         }
 
         // 通用网页嵌入
         $html = '<div class="notion-embed">';
-        $html .= '<iframe src="' . esc_url($url) . '" width="100%" height="500" frameborder="0"></iframe>';
+        $html .= '<iframe src="' . esc_url($url) . '" data-facade="embed" loading="lazy" width="100%" height="500" frameborder="0"></iframe>';
         if (!empty($caption)) {
             $html .= '<div class="notion-embed-caption">' . $caption . '</div>';
         }
@@ -806,7 +812,7 @@ class Notion_Content_Converter {
                 $video_id = $matches[1];
             }
             if ($video_id) {
-                return '<div class="notion-video notion-video-youtube"><iframe width="560" height="315" src="https://www.youtube.com/embed/' . esc_attr($video_id) . '" frameborder="0" allow="accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture" allowfullscreen></iframe></div>';
+                return '<div class="notion-video notion-video-youtube"><iframe width="560" height="315" src="https://www.youtube.com/embed/' . esc_attr($video_id) . '" data-facade="youtube" loading="lazy" frameborder="0" allow="accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture" allowfullscreen></iframe></div>';
             }
         } elseif (strpos($url, 'vimeo.com') !== false) {
             // Vimeo视频
@@ -815,7 +821,7 @@ class Notion_Content_Converter {
                 $video_id = $matches[2];
             }
             if ($video_id) {
-                return '<div class="notion-video notion-video-vimeo"><iframe src="https://player.vimeo.com/video/' . esc_attr($video_id) . '" width="560" height="315" frameborder="0" allow="autoplay; fullscreen; picture-in-picture" allowfullscreen></iframe></div>';
+                return '<div class="notion-video notion-video-vimeo"><iframe src="https://player.vimeo.com/video/' . esc_attr($video_id) . '" data-facade="vimeo" loading="lazy" width="560" height="315" frameborder="0" allow="autoplay; fullscreen; picture-in-picture" allowfullscreen></iframe></div>';
             }
         } elseif (strpos($url, 'bilibili.com') !== false) {
             // Bilibili视频
@@ -824,14 +830,14 @@ class Notion_Content_Converter {
                 $video_id = $matches[1];
             }
             if ($video_id) {
-                return '<div class="notion-video notion-video-bilibili"><iframe src="//player.bilibili.com/player.html?bvid=' . esc_attr($video_id) . '&page=1" scrolling="no" border="0" frameborder="no" framespacing="0" allowfullscreen="true" width="560" height="315"></iframe></div>';
+                return '<div class="notion-video notion-video-bilibili"><iframe src="//player.bilibili.com/player.html?bvid=' . esc_attr($video_id) . '&page=1" loading="lazy" scrolling="no" border="0" frameborder="no" framespacing="0" allowfullscreen="true" width="560" height="315"></iframe></div>';
             }
         }
 
         // 对于其他视频文件，使用HTML5 video标签
         $caption = self::extract_rich_text($block['video']['caption'] ?? []);
         $html = '<div class="notion-video">';
-        $html .= '<video controls>';
+        $html .= '<video controls preload="none">';
         $html .= '<source src="' . esc_url($url) . '">';
         $html .= '您的浏览器不支持视频播放。';
         $html .= '</video>';
@@ -928,7 +934,7 @@ class Notion_Content_Converter {
         $caption = self::extract_rich_text($pdf_data['caption'] ?? []);
 
         $html = '<div class="notion-pdf-container">';
-        $html .= '<iframe src="' . esc_url($url) . '" width="100%" height="600" frameborder="0" type="application/pdf" style="max-width: 100%; height: 600px;"></iframe>';
+        $html .= '<iframe src="' . esc_url($url) . '" loading="lazy" width="100%" height="600" frameborder="0" type="application/pdf" style="max-width: 100%; height: 600px;"></iframe>';
         $html .= '</div>';
         $html .= '<div class="notion-pdf-fallback">';
         $html .= '<a href="' . esc_url($url) . '" target="_blank" rel="noopener noreferrer">查看PDF文档</a>';
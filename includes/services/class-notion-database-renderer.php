@@ -32,6 +32,9 @@ class Notion_Database_Renderer {
     const VIEW_TYPE_TABLE = 'table';
     const VIEW_TYPE_BOARD = 'board';
 
+    // 渐进式加载每页记录数
+    const PROGRESSIVE_PAGE_SIZE = 10;
+
     /**
      * 🚀 批量预处理多个子数据库（优化版本）
      *
@@ -65,7 +68,8 @@ class Notion_Database_Renderer {
             foreach ($database_ids as $db_id) {
                 try {
                     // 限制每个数据库最多获取20条记录，避免超时
-                    $records = $notion_api->get_database_pages($db_id, [], false);
+                    $query = self::get_view_query($db_id, $batch_info[$db_id] ?? []);
+                    $records = $notion_api->get_database_pages($db_id, $query['filter'], false, $query['sorts']);
                     $limited_records = array_slice($records, 0, 20);
 
                     $preprocessed_data[$db_id] = [
@@ -183,7 +187,8 @@ class Notion_Database_Renderer {
             }
 
             // 获取数据库记录（限制数量）
-            $records = $notion_api->get_database_pages($database_id, [], false);
+            $query = self::get_view_query($database_id, $database_info);
+            $records = $notion_api->get_database_pages($database_id, $query['filter'], false, $query['sorts']);
             $limited_records = array_slice($records, 0, 15); // 限制15条
 
             // 检查超时
@@ -324,7 +329,7 @@ class Notion_Database_Renderer {
         $title = $title ?: (function_exists('__') ? __('表格视图', 'notion-to-wordpress') : '表格视图');
         $properties = $database_info['properties'] ?? [];
         
-        $html = '<div class="notion-database notion-database-table">';
+        $html = '<div class="notion-database notion-database-table"' . self::render_database_id_attribute($database_info) . '>';
         $html .= '<h4 class="notion-database-title">' . esc_html($title) . '</h4>';
         
         // 使用真正的HTML table
@@ -372,7 +377,7 @@ class Notion_Database_Renderer {
     private static function render_table_row(array $record, array $properties): string {
         $record_properties = $record['properties'] ?? [];
         
-        $html = '<tr>';
+        $html = '<tr' . self::render_record_id_attribute($record) . self::render_record_data_attribute($record) . '>';
         
         // 标题单元格
         $title = self::extract_title($record_properties);
@@ -418,7 +423,7 @@ class Notion_Database_Renderer {
         }
         $title = $title ?: __('画廊视图', 'notion-to-wordpress');
         
-        $html = '<div class="notion-database notion-database-gallery">';
+        $html = '<div class="notion-database notion-database-gallery"' . self::render_database_id_attribute($database_info) . '>';
         $html .= '<h4 class="notion-database-title">' . esc_html($title) . '</h4>';
         $html .= '<div class="notion-gallery-grid">';
         
@@ -444,7 +449,7 @@ class Notion_Database_Renderer {
         $icon = self::extract_icon($record);
         $cover = self::extract_cover($record);
         
-        $html = '<div class="notion-gallery-item">';
+        $html = '<div class="notion-gallery-item"' . self::render_record_id_attribute($record) . self::render_record_data_attribute($record) . '>';
         
         // 封面图片
         if ($cover) {
@@ -491,7 +496,7 @@ class Notion_Database_Renderer {
         // 按状态分组
         $grouped_records = self::group_records_by_status($records);
         
-        $html = '<div class="notion-database notion-database-board">';
+        $html = '<div class="notion-database notion-database-board"' . self::render_database_id_attribute($database_info) . '>';
         $html .= '<h4 class="notion-database-title">' . esc_html($title) . '</h4>';
         $html .= '<div class="notion-board-columns">';
         
@@ -539,7 +544,7 @@ class Notion_Database_Renderer {
         $icon = self::extract_icon($record);
         $cover = self::extract_cover($record);
         
-        $html = '<div class="notion-board-item">';
+        $html = '<div class="notion-board-item"' . self::render_record_id_attribute($record) . self::render_record_data_attribute($record) . '>';
         
         // 封面图片（如果有）
         if ($cover) {
@@ -563,6 +568,124 @@ class Notion_Database_Renderer {
 
     // ==================== 辅助方法 ====================
 
+    /**
+     * 渲染记录的区块ID属性，与内容块一致使用带连字符的 notion-block- 前缀，
+     * 使指向数据库记录的锚点在渐进加载后能够定位
+     *
+     * @since 2.0.0-beta.1
+     * @param array $record 记录数据
+     * @return string id 属性，记录ID无效时返回空字符串
+     */
+    private static function render_record_id_attribute(array $record): string {
+        $record_id = str_replace('-', '', (string) ($record['id'] ?? ''));
+        if (strlen($record_id) !== 32 || !ctype_xdigit($record_id)) {
+            return '';
+        }
+
+        $formatted_id = sprintf(
+            '%s-%s-%s-%s-%s',
+            substr($record_id, 0, 8),
+            substr($record_id, 8, 4),
+            substr($record_id, 12, 4),
+            substr($record_id, 16, 4),
+            substr($record_id, 20, 12)
+        );
+
+        return ' id="' . esc_attr('notion-block-' . strtolower($formatted_id)) . '"';
+    }
+
+    /**
+     * 渲染记录的筛选/排序数据属性，供前端数据库工具栏使用
+     *
+     * @since 2.0.0-beta.1
+     * @param array $record 记录数据
+     * @return string data-notion-record 属性
+     */
+    private static function render_record_data_attribute(array $record): string {
+        $data = [
+            'title'   => self::extract_title($record['properties'] ?? []),
+            'filters' => [],
+            'sort'    => [],
+        ];
+
+        foreach ($record['properties'] ?? [] as $prop_name => $prop_value) {
+            if (!is_array($prop_value) || !isset($prop_value['type'])) {
+                continue;
+            }
+
+            $type = $prop_value['type'];
+            switch ($type) {
+                case 'select':
+                case 'status':
+                    if (!empty($prop_value[$type]['name'])) {
+                        $data['filters'][$prop_name] = [$prop_value[$type]['name']];
+                        $data['sort'][$prop_name] = $prop_value[$type]['name'];
+                    }
+                    break;
+
+                case 'multi_select':
+                    $names = array_values(array_filter(array_column($prop_value['multi_select'] ?? [], 'name')));
+                    if (!empty($names)) {
+                        $data['filters'][$prop_name] = $names;
+                    }
+                    break;
+
+                case 'checkbox':
+                    $checked = !empty($prop_value['checkbox']);
+                    $data['filters'][$prop_name] = [$checked ? __('是', 'notion-to-wordpress') : __('否', 'notion-to-wordpress')];
+                    $data['sort'][$prop_name] = $checked ? 1 : 0;
+                    break;
+
+                case 'number':
+                    if (is_numeric($prop_value['number'] ?? null)) {
+                        $data['sort'][$prop_name] = $prop_value['number'] + 0;
+                    }
+                    break;
+
+                case 'date':
+                    if (!empty($prop_value['date']['start'])) {
+                        $data['sort'][$prop_name] = $prop_value['date']['start'];
+                    }
+                    break;
+
+                case 'created_time':
+                case 'last_edited_time':
+                    if (!empty($prop_value[$type])) {
+                        $data['sort'][$prop_name] = $prop_value[$type];
+                    }
+                    break;
+
+                case 'rich_text':
+                    $text = implode('', array_column($prop_value['rich_text'] ?? [], 'plain_text'));
+                    if ($text !== '') {
+                        $data['sort'][$prop_name] = $text;
+                    }
+                    break;
+
+                case 'url':
+                case 'email':
+                case 'phone_number':
+                    if (!empty($prop_value[$type])) {
+                        $data['sort'][$prop_name] = $prop_value[$type];
+                    }
+                    break;
+            }
+        }
+
+        return ' data-notion-record="' . esc_attr(wp_json_encode($data)) . '"';
+    }
+
+    /**
+     * 渲染数据库视图的 ID 属性，用于在地址栏中区分同一页面的多个数据库
+     *
+     * @since 2.0.0-beta.1
+     * @param array $database_info 数据库信息
+     * @return string data-database-id 属性或空字符串
+     */
+    private static function render_database_id_attribute(array $database_info): string {
+        return empty($database_info['id']) ? '' : ' data-database-id="' . esc_attr($database_info['id']) . '"';
+    }
+
     /**
      * 提取记录标题
      *
@@ -662,8 +785,56 @@ class Notion_Database_Renderer {
                 return implode(' ', $tags);
                 
             case 'date':
-                return isset($prop_value['date']['start']) ? 
-                    esc_html($prop_value['date']['start']) : '';
+                return self::format_date_value($prop_value['date'] ?? null);
+
+            case 'number':
+                return isset($prop_value['number']) ?
+                    '<span class="notion-number">' . esc_html((string) $prop_value['number']) . '</span>' : '';
+
+            case 'checkbox':
+                return self::format_checkbox_value(!empty($prop_value['checkbox']));
+
+            case 'email':
+                $email = $prop_value['email'] ?? '';
+                return $email ? '<a href="mailto:' . esc_attr($email) . '">' . esc_html($email) . '</a>' : '';
+
+            case 'phone_number':
+                $phone = $prop_value['phone_number'] ?? '';
+                return $phone ? '<a href="tel:' . esc_attr($phone) . '">' . esc_html($phone) . '</a>' : '';
+
+            case 'people':
+                if (empty($prop_value['people']) || !is_array($prop_value['people'])) {
+                    return '';
+                }
+                $people = array_map(function($person) {
+                    return '<span class="notion-person">' . esc_html($person['name'] ?? '') . '</span>';
+                }, $prop_value['people']);
+                return implode(' ', $people);
+
+            case 'files':
+                return self::render_record_files($prop_value);
+
+            case 'relation':
+                $count = is_array($prop_value['relation'] ?? null) ? count($prop_value['relation']) : 0;
+                return $count > 0 ?
+                    '<span class="notion-relation">' . esc_html(sprintf(__('%d 个关联', 'notion-to-wordpress'), $count)) . '</span>' : '';
+
+            case 'formula':
+                $formula = $prop_value['formula'] ?? [];
+                $value = self::format_computed_value($formula);
+                return $value !== '' ? '<span class="notion-formula">' . $value . '</span>' : '';
+
+            case 'rollup':
+                $rollup = $prop_value['rollup'] ?? [];
+                if (($rollup['type'] ?? '') === 'array') {
+                    $items = array_filter(array_map(function($item) {
+                        return self::format_property_value($item, $item['type'] ?? '');
+                    }, $rollup['array'] ?? []));
+                    $value = implode(', ', $items);
+                } else {
+                    $value = self::format_computed_value($rollup);
+                }
+                return $value !== '' ? '<span class="notion-rollup">' . $value . '</span>' : '';
                     
             case 'url':
                 $url = $prop_value['url'] ?? '';
@@ -682,6 +853,66 @@ class Notion_Database_Renderer {
             default:
                 return esc_html(is_string($prop_value) ? $prop_value : '');
         }
+    }
+
+    /**
+     * 格式化日期属性（含结束日期时显示区间）
+     *
+     * @since 2.0.0-beta.1
+     * @param array|null $date 日期对象
+     * @return string 格式化后的HTML
+     */
+    private static function format_date_value($date): string {
+        if (empty($date['start'])) {
+            return '';
+        }
+
+        $html = esc_html($date['start']);
+        if (!empty($date['end'])) {
+            $html .= ' → ' . esc_html($date['end']);
+        }
+        return $html;
+    }
+
+    /**
+     * 格式化复选框值
+     *
+     * @since 2.0.0-beta.1
+     * @param bool $checked 是否选中
+     * @return string 格式化后的HTML
+     */
+    private static function format_checkbox_value(bool $checked): string {
+        return $checked ?
+            '<span class="notion-checkbox notion-checkbox-checked" title="' . esc_attr__('是', 'notion-to-wordpress') . '">☑</span>' :
+            '<span class="notion-checkbox" title="' . esc_attr__('否', 'notion-to-wordpress') . '">☐</span>';
+    }
+
+    /**
+     * 格式化公式/汇总的计算结果（string、number、boolean、date）
+     *
+     * @since 2.0.0-beta.1
+     * @param array $computed 计算结果对象
+     * @return string 格式化后的HTML
+     */
+    private static function format_computed_value(array $computed): string {
+        $type = $computed['type'] ?? '';
+
+        switch ($type) {
+            case 'string':
+                return esc_html((string) ($computed['string'] ?? ''));
+
+            case 'number':
+                return isset($computed['number']) ? esc_html((string) $computed['number']) : '';
+
+            case 'boolean':
+                return self::format_checkbox_value(!empty($computed['boolean']));
+
+            case 'date':
+                return self::format_date_value($computed['date'] ?? null);
+
+            default:
+                return '';
+        }
     }    /**
      * 渲染画廊属性
      *
@@ -774,7 +1005,8 @@ class Notion_Database_Renderer {
         try {
             // 获取数据库中的记录
             // 使用with_details=true获取包含封面图片和图标的完整信息
-            $records = $notion_api->get_database_pages($database_id, [], true);
+            $query = self::get_view_query($database_id, $database_info);
+            $records = $notion_api->get_database_pages($database_id, $query['filter'], true, $query['sorts']);
 
             if (empty($records)) {
                 Notion_Logger::debug_log(
@@ -807,7 +1039,7 @@ class Notion_Database_Renderer {
 
             // 如果有剩余记录，添加懒加载容器
             if (!empty($remaining_records)) {
-                $html .= self::render_progressive_loading_container($remaining_records, $database_info, $view_type, $database_id);
+                $html .= self::render_progressive_loading_container($remaining_records, $database_info, $view_type, $database_id, $initial_load_count);
             }
 
             return $html;
@@ -865,30 +1097,242 @@ class Notion_Database_Renderer {
     /**
      * 渐进式加载容器
      *
+     * 剩余记录不直接输出，前端通过 AJAX 按游标分页获取服务端渲染的 HTML 并追加到当前视图；
+     * 容器记录首屏使用的查询条件，分页请求沿用同一筛选与排序。请求令牌与文章相关，
+     * 在输出文章内容时由 add_progressive_tokens() 写入；noscript 中保留完整渲染作为无 JavaScript 时的回退
+     *
      * @since 2.0.0-beta.1
      * @param array $records 剩余记录
      * @param array $database_info 数据库信息
      * @param string $view_type 视图类型
      * @param string $database_id 数据库ID
+     * @param int $offset 已渲染的记录数（首个游标）
      * @return string HTML内容
      */
-    private static function render_progressive_loading_container(array $records, array $database_info, string $view_type, string $database_id): string {
-        // 简化版：直接渲染剩余记录，不使用JavaScript懒加载
+    private static function render_progressive_loading_container(array $records, array $database_info, string $view_type, string $database_id, int $offset = 0): string {
         $database_data = [
             'database_info' => $database_info,
             'records' => $records
         ];
 
-        $html = '<div class="notion-database-more-records">';
-        $html .= '<div class="notion-database-more-header">';
-        $html .= '<span>更多记录 (' . count($records) . ')</span>';
+        // 仅记录ID，供锚点导航判断目标是否位于未加载的记录中
+        $record_ids = array_values(array_filter(array_map(function($record) {
+            return $record['id'] ?? '';
+        }, $records)));
+
+        $html = sprintf(
+            '<div class="notion-progressive-loading" data-database-id="%s" data-view="%s" data-query="%s" data-cursor="%d" data-remaining="%d" data-records="%s">',
+            esc_attr($database_id),
+            esc_attr($view_type),
+            esc_attr(wp_json_encode(self::get_view_query($database_id, $database_info))),
+            $offset,
+            count($records),
+            esc_attr(base64_encode(wp_json_encode(['ids' => $record_ids])))
+        );
+        $html .= '<div class="notion-loading-trigger">';
+        $html .= '<button type="button" class="notion-load-more-btn">';
+        $html .= '<span class="notion-loading-text">' . esc_html(sprintf(__('加载更多 (%d)', 'notion-to-wordpress'), count($records))) . '</span>';
+        $html .= '<span class="notion-loading-spinner" style="display: none;">⟳</span>';
+        $html .= '</button>';
         $html .= '</div>';
-        $html .= self::render_database($database_data);
+        $html .= '<noscript>' . self::render_database($database_data) . '</noscript>';
         $html .= '</div>';
 
         return $html;
     }
 
+    /**
+     * 获取数据库视图的查询条件（筛选与排序）
+     *
+     * 首屏渲染与渐进式加载分页共用，保证后续分页与首屏的记录集合和顺序一致；
+     * 可通过 notion_database_view_query 过滤器为视图指定 Notion API 的 filter 与 sorts
+     *
+     * @since 2.0.0-beta.1
+     * @param string $database_id 数据库ID
+     * @param array $database_info 数据库信息
+     * @return array 包含 filter 与 sorts 的查询条件
+     */
+    public static function get_view_query(string $database_id, array $database_info = []): array {
+        $query = apply_filters('notion_database_view_query', ['filter' => [], 'sorts' => []], $database_id, $database_info);
+        return self::normalize_view_query($query);
+    }
+
+    /**
+     * 规范化查询条件，确保令牌计算与接口请求使用相同的结构
+     *
+     * @since 2.0.0-beta.1
+     * @param mixed $query 查询条件
+     * @return array 包含 filter 与 sorts 的查询条件
+     */
+    public static function normalize_view_query($query): array {
+        return [
+            'filter' => is_array($query['filter'] ?? null) ? $query['filter'] : [],
+            'sorts' => is_array($query['sorts'] ?? null) ? array_values($query['sorts']) : []
+        ];
+    }
+
+    /**
+     * 生成渐进式加载请求令牌
+     *
+     * 令牌绑定文章、数据库、视图与查询条件，只能用于读取该文章公开展示的数据库视图
+     *
+     * @since 2.0.0-beta.1
+     * @param int $post_id 文章ID
+     * @param string $database_id 数据库ID
+     * @param string $view_type 视图类型
+     * @param array $query 查询条件
+     * @return string 令牌
+     */
+    public static function get_progressive_token(int $post_id, string $database_id, string $view_type, array $query): string {
+        return wp_hash(implode('|', [
+            'notion_progressive_loading',
+            $post_id,
+            $database_id,
+            $view_type,
+            wp_json_encode(self::normalize_view_query($query))
+        ]));
+    }
+
+    /**
+     * 校验渐进式加载请求令牌，文章不再公开（撤回发布、设为私密或加密）后令牌失效
+     *
+     * @since 2.0.0-beta.1
+     * @param int $post_id 文章ID
+     * @param string $database_id 数据库ID
+     * @param string $view_type 视图类型
+     * @param array $query 查询条件
+     * @param string $token 请求令牌
+     * @return bool 是否有效
+     */
+    public static function verify_progressive_token(int $post_id, string $database_id, string $view_type, array $query, string $token): bool {
+        if ($post_id <= 0 || $database_id === '' || $token === '') {
+            return false;
+        }
+        if (!hash_equals(self::get_progressive_token($post_id, $database_id, $view_type, $query), $token)) {
+            return false;
+        }
+
+        return get_post_status($post_id) === 'publish' && !post_password_required($post_id);
+    }
+
+    /**
+     * 为文章内容中的渐进式加载容器写入文章ID与请求令牌
+     *
+     * 同步时文章ID未知，令牌在输出内容时生成；旧内容中已存储的令牌会被替换
+     *
+     * @since 2.0.0-beta.1
+     * @param string $content 文章内容
+     * @param int $post_id 文章ID
+     * @return string 处理后的内容
+     */
+    public static function add_progressive_tokens(string $content, int $post_id): string {
+        if ($post_id <= 0 || strpos($content, 'notion-progressive-loading') === false) {
+            return $content;
+        }
+
+        $result = preg_replace_callback('/<div class="notion-progressive-loading"([^>]*)>/', function($matches) use ($post_id) {
+            $attributes = preg_replace('/\s(?:data-token|data-post-id)="[^"]*"/', '', $matches[1]);
+
+            // 未携带数据库ID的旧版内容不支持分页加载
+            if (!preg_match('/\sdata-database-id="([^"]*)"/', $attributes, $database_match)) {
+                return $matches[0];
+            }
+            $database_id = html_entity_decode($database_match[1], ENT_QUOTES);
+            $view_type = preg_match('/\sdata-view="([^"]*)"/', $attributes, $view_match) ? html_entity_decode($view_match[1], ENT_QUOTES) : '';
+            $query = preg_match('/\sdata-query="([^"]*)"/', $attributes, $query_match) ?
+                json_decode(html_entity_decode($query_match[1], ENT_QUOTES), true) : [];
+
+            $token = self::get_progressive_token($post_id, $database_id, $view_type, self::normalize_view_query($query));
+
+            return sprintf(
+                '<div class="notion-progressive-loading"%s data-post-id="%d" data-token="%s">',
+                $attributes,
+                $post_id,
+                esc_attr($token)
+            );
+        }, $content);
+
+        return $result ?? $content;
+    }
+
+    /**
+     * 按游标渲染一页记录，供渐进式加载接口使用
+     *
+     * 游标为已加载的记录数，记录按首屏相同的查询条件获取；数据库结构与记录列表使用智能缓存，避免每页都请求 Notion API
+     *
+     * @since 2.0.0-beta.1
+     * @param string $database_id 数据库ID
+     * @param string $view_type 视图类型
+     * @param int $cursor 游标
+     * @param int $page_size 每页记录数
+     * @param Notion_API $notion_api API实例
+     * @param array $query 首屏使用的查询条件（filter 与 sorts）
+     * @return array 包含 html、groups（看板）、next_cursor、has_more、total 的结果
+     */
+    public static function render_records_page(string $database_id, string $view_type, int $cursor, int $page_size, Notion_API $notion_api, array $query = []): array {
+        $database_info = Notion_Smart_Cache::get('database_structure', $database_id);
+        if ($database_info === false) {
+            $database_info = $notion_api->get_database_info($database_id);
+            Notion_Smart_Cache::set('database_structure', $database_id, $database_info);
+        }
+
+        $query = self::normalize_view_query($query);
+        $records_key = 'database_records_' . $database_id . '_' . md5(wp_json_encode($query));
+        $records = Notion_Smart_Cache::get('page_content', $records_key);
+        if ($records === false) {
+            $records = $notion_api->get_database_pages($database_id, $query['filter'], true, $query['sorts']);
+            Notion_Smart_Cache::set('page_content', $records_key, $records);
+        }
+
+        $page_records = array_slice($records, $cursor, $page_size);
+        $next_cursor = $cursor + count($page_records);
+        $has_more = $next_cursor < count($records);
+
+        $result = [
+            'view' => $view_type,
+            'html' => '',
+            'groups' => [],
+            'count' => count($page_records),
+            'next_cursor' => $has_more ? (string) $next_cursor : null,
+            'has_more' => $has_more,
+            'total' => count($records)
+        ];
+
+        switch ($view_type) {
+            case self::VIEW_TYPE_GALLERY:
+                foreach ($page_records as $record) {
+                    $result['html'] .= self::render_gallery_item($record);
+                }
+                break;
+
+            case self::VIEW_TYPE_BOARD:
+                // 看板按状态分组返回，前端追加到同名列，不存在时插入整列
+                foreach (self::group_records_by_status($page_records) as $status => $status_records) {
+                    $items = '';
+                    foreach ($status_records as $record) {
+                        $items .= self::render_board_item($record);
+                    }
+                    $result['groups'][] = [
+                        'status' => (string) $status,
+                        'count' => count($status_records),
+                        'items' => $items,
+                        'column' => self::render_board_column((string) $status, $status_records)
+                    ];
+                }
+                break;
+
+            default:
+                $result['view'] = self::VIEW_TYPE_TABLE;
+                $properties = $database_info['properties'] ?? [];
+                foreach ($page_records as $record) {
+                    $result['html'] .= self::render_table_row($record, $properties);
+                }
+                break;
+        }
+
+        return $result;
+    }
+
     /**
      * 渲染数据库预览记录（使用预处理数据）
      *
@@ -946,7 +1390,7 @@ class Notion_Database_Renderer {
 
             // 如果有剩余记录，添加懒加载容器
             if (!empty($remaining_records)) {
-                $html .= self::render_progressive_loading_container($remaining_records, $database_info, $view_type, $database_id);
+                $html .= self::render_progressive_loading_container($remaining_records, $database_info, $view_type, $database_id, $initial_load_count);
             }
 
             return $html;
@@ -1486,7 +1930,8 @@ class Notion_Database_Renderer {
             }
 
             // 获取数据库记录（使用with_details=true获取完整信息）
-            $records = $notion_api->get_database_pages($database_id, [], true);
+            $query = self::get_view_query($database_id, $database_info);
+            $records = $notion_api->get_database_pages($database_id, $query['filter'], true, $query['sorts']);
             if (empty($records)) {
                 Notion_Logger::debug_log(
                     "数据库无记录或无权限访问: {$database_title} (ID: {$database_id})",
@@ -809,6 +809,12 @@ class Notion_Image_Processor {
         $html = '<figure class="wp-block-image size-large">';
         $html .= '<img src="' . esc_url($image_src[0]) . '" alt="' . esc_attr($image_alt) . '" class="wp-image-' . $attachment_id . '"';
 
+        // 原图地址：灯箱打开时才加载
+        $full_url = wp_get_attachment_url($attachment_id);
+        if ($full_url && $full_url !== $image_src[0]) {
+            $html .= ' data-full-src="' . esc_url($full_url) . '"';
+        }
+
         if (isset($image_src[1]) && isset($image_src[2])) {
             $html .= ' width="' . $image_src[1] . '" height="' . $image_src[2] . '"';
         }
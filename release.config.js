@@ -240,6 +240,7 @@ if (!defined('ABSPATH')) {
             'includes/class-notion-concurrent-manager.php': '并发管理类',
             'admin/class-notion-to-wordpress-admin.php': '后台管理类',
             'assets/js/anchor-navigation.js': 'Notion 区块锚点导航功能',
+            'assets/js/notion-utils.js': '前端公共工具（HTML 转义、URL 过滤、剪贴板复制与提示消息）',
             'assets/js/admin.js': '后台管理界面脚本',
             'assets/css/admin-modern.css': 'Notion 内容导入器现代化后台样式',
             'assets/css/public.css': '前台样式文件'
@@ -325,6 +326,7 @@ if (!defined('ABSPATH')) {
                 combine: true,
                 sourceMap: false,
                 files: [
+                    'assets/js/notion-utils.js',
                     'assets/js/lazy-loading.js',
                     'assets/js/resource-optimizer.js',
                     'assets/js/admin-interactions.js'
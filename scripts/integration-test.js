@@ -62,6 +62,12 @@ class IntegrationTestSuite {
             // 测试 8: 错误处理与恢复
             await this.testErrorHandling();
             
+            // 测试 9: 前端渐进式加载
+            await this.testProgressiveLoader();
+
+            // 测试 10: 锚点定位到未加载的记录
+            await this.testProgressiveAnchor();
+            
             // 生成测试报告
             this.generateTestReport();
             
@@ -106,7 +112,7 @@ class IntegrationTestSuite {
             
             // 检查必需的依赖
             const packageJson = JSON.parse(fs.readFileSync(path.join(this.projectRoot, 'package.json'), 'utf8'));
-            const requiredDeps = ['semver', 'archiver', 'chalk', 'fs-extra', 'glob', 'minimist', 'js-yaml'];
+            const requiredDeps = ['semver', 'archiver', 'chalk', 'fs-extra', 'glob', 'minimist', 'js-yaml', 'jsdom'];
             
             for (const dep of requiredDeps) {
                 if (packageJson.devDependencies && packageJson.devDependencies[dep]) {
@@ -477,6 +483,217 @@ class IntegrationTestSuite {
         }
     }
 
+    /**
+     * 测试 9：前端渐进式加载
+     *
+     * 在 jsdom 中加载 notion-utils.js 与 lazy-loading.js，模拟 admin-ajax 响应，
+     * 校验 fetchPage/appendRecords 的分页请求、记录追加与结束状态，
+     * 确认容器上的数据属性只作为请求参数发送、不会被写入页面，
+     * 且接口返回的恶意记录标题与属性值只作为文本显示。
+     */
+    async testProgressiveLoader() {
+        this.logTestStart('前端渐进式加载');
+
+        let JSDOM;
+        try {
+            ({ JSDOM } = require('jsdom'));
+        } catch (error) {
+            this.addResult('jsdom 环境', 'FAIL', '未安装 jsdom');
+            return;
+        }
+
+        const payload = '"><img src=x onerror="window.__notionXss=true">';
+        const loadButton = '<div class="notion-loading-trigger"><button type="button" class="notion-load-more-btn">' +
+            '<span class="notion-loading-text">加载更多</span><span class="notion-loading-spinner" style="display:none">⟳</span>' +
+            '</button></div>';
+
+        try {
+            // 表格视图：两页加载完毕
+            const table = this.createProgressiveWindow(JSDOM,
+                '<div class="notion-database notion-database-table"><table class="notion-table"><tbody><tr><td>0</td></tr></tbody></table></div>' +
+                `<div class="notion-progressive-loading" data-database-id='${payload}' data-view="table" data-query='{"filter":[],"sorts":[{"property":"Name","direction":"ascending"}]}' data-cursor="10" data-remaining="15" data-post-id="42" data-token="token-1">${loadButton}</div>`,
+                fields => {
+                    const cursor = parseInt(fields.cursor, 10);
+                    const next = cursor + 10 < 25 ? String(cursor + 10) : null;
+                    return { success: true, data: { view: 'table', html: `<tr><td>${cursor}</td></tr>`, count: 10, next_cursor: next, has_more: !!next, total: 25 } };
+                }
+            );
+            const loader = table.window.NotionProgressiveLoader;
+            const container = table.document.querySelector('.notion-progressive-loading');
+            const button = container.querySelector('.notion-load-more-btn');
+
+            const hasMore = await loader.loadMore(button);
+            const firstRequest = table.requests[0] || {};
+            this.addResult('分页请求参数',
+                firstRequest.action === 'notion_load_database_records' && firstRequest.token === 'token-1' && firstRequest.cursor === '10' &&
+                firstRequest.database_id === payload && firstRequest.post_id === '42' && JSON.parse(firstRequest.query).sorts[0].property === 'Name' ? 'PASS' : 'FAIL',
+                JSON.stringify({ action: firstRequest.action, cursor: firstRequest.cursor, token: firstRequest.token, post_id: firstRequest.post_id, query: firstRequest.query }));
+            this.addResult('记录追加到表格',
+                table.document.querySelectorAll('tbody tr').length === 2 && hasMore && container.dataset.cursor === '20' ? 'PASS' : 'FAIL',
+                `${table.document.querySelectorAll('tbody tr').length} 行，游标 ${container.dataset.cursor}`);
+            this.addResult('剩余数量提示',
+                container.querySelector('.notion-loading-text').textContent === '加载更多 (5)' && !button.disabled ? 'PASS' : 'FAIL',
+                container.querySelector('.notion-loading-text').textContent);
+
+            await loader.loadMore(button);
+            this.addResult('最后一页结束加载',
+                container.classList.contains('notion-progressive-complete') && container.querySelector('.notion-loading-trigger').style.display === 'none' ? 'PASS' : 'FAIL',
+                `共 ${table.document.querySelectorAll('tbody tr').length} 行`);
+            this.addResult('数据属性不写入页面',
+                table.document.querySelectorAll('img').length === 0 && !table.window.__notionXss ? 'PASS' : 'FAIL',
+                '容器属性仅作为请求参数发送');
+
+            // 恶意记录标题：服务端转义后的 HTML 追加到页面、再经工具栏读取，始终只作为文本
+            const hostileTitle = '<img src=x onerror="window.__notionXss=true">';
+            const hostileSelect = '<script>window.__notionXss=true</script>';
+            const escapeHtml = value => value.replace(/[&<>"']/g, char => '&#' + char.charCodeAt(0) + ';');
+            const hostileRecord = JSON.stringify({ title: hostileTitle, filters: { Kind: [hostileSelect] }, sort: {} });
+            const hostile = this.createProgressiveWindow(JSDOM,
+                '<div class="notion-database notion-database-table" data-database-id="db"><table class="notion-table">' +
+                '<thead><tr><th>标题</th><th>Kind</th></tr></thead><tbody></tbody></table></div>' +
+                `<div class="notion-progressive-loading" data-database-id="db" data-view="table" data-cursor="0" data-remaining="1" data-token="token-4">${loadButton}</div>`,
+                () => ({ success: true, data: { view: 'table', count: 1, next_cursor: null, has_more: false, total: 1,
+                    html: `<tr data-notion-record="${escapeHtml(hostileRecord)}"><td class="notion-table-title-cell">${escapeHtml(hostileTitle)}</td>` +
+                        `<td class="notion-table-cell"><span class="notion-select">${escapeHtml(hostileSelect)}</span></td></tr>` } }),
+                ['assets/js/database-toolbar.js']
+            );
+            await hostile.window.NotionProgressiveLoader.loadMore(hostile.document.querySelector('.notion-load-more-btn'));
+            const hostileRow = hostile.document.querySelector('tbody tr');
+            const filterOptions = Array.from(hostile.document.querySelectorAll('.notion-database-filter option')).map(option => option.textContent);
+            this.addResult('恶意标题按文本显示',
+                hostileRow && hostileRow.cells[0].textContent === hostileTitle && hostileRow.cells[1].textContent === hostileSelect &&
+                filterOptions.indexOf(hostileSelect) !== -1 &&
+                hostile.document.querySelectorAll('body img, body script').length === 0 && !hostile.window.__notionXss ? 'PASS' : 'FAIL',
+                `${hostile.document.querySelectorAll('body img, body script').length} 个注入元素，筛选项 ${filterOptions.length} 个`);
+
+            // 看板视图：已有分组追加条目，新分组追加整列
+            const board = this.createProgressiveWindow(JSDOM,
+                '<div class="notion-database notion-database-board"><div class="notion-board-columns"><div class="notion-board-column">' +
+                '<div class="notion-board-header"><h5>进行中</h5><span class="notion-board-count">1</span></div><div class="notion-board-items"></div>' +
+                '</div></div></div>' +
+                `<div class="notion-progressive-loading" data-database-id="db" data-view="board" data-cursor="1" data-remaining="3" data-token="token-2">${loadButton}</div>`,
+                () => ({ success: true, data: { view: 'board', groups: [
+                    { status: '进行中', count: 2, items: '<div class="notion-board-item">A</div><div class="notion-board-item">B</div>', column: '' },
+                    { status: '已完成', count: 1, items: '', column: '<div class="notion-board-column"><div class="notion-board-header"><h5>已完成</h5></div></div>' }
+                ], count: 3, next_cursor: null, has_more: false, total: 4 } })
+            );
+            await board.window.NotionProgressiveLoader.loadMore(board.document.querySelector('.notion-load-more-btn'));
+            const columns = board.document.querySelectorAll('.notion-board-column');
+            this.addResult('看板分组追加',
+                columns.length === 2 && columns[0].querySelectorAll('.notion-board-item').length === 2 && columns[0].querySelector('.notion-board-count').textContent === '3' ? 'PASS' : 'FAIL',
+                `${columns.length} 列，首列 ${columns[0].querySelectorAll('.notion-board-item').length} 条`);
+
+            // 接口返回错误：保留按钮以便重试
+            const failing = this.createProgressiveWindow(JSDOM,
+                '<div class="notion-database notion-database-table"><table class="notion-table"><tbody></tbody></table></div>' +
+                `<div class="notion-progressive-loading" data-database-id="db" data-view="table" data-cursor="10" data-token="expired">${loadButton}</div>`,
+                () => ({ success: false, data: { message: '令牌无效' } })
+            );
+            const failingButton = failing.document.querySelector('.notion-load-more-btn');
+            const failed = await failing.window.NotionProgressiveLoader.loadMore(failingButton).then(() => false, () => true);
+            this.addResult('请求失败可重试',
+                failed && !failingButton.disabled && failing.document.querySelector('.notion-loading-text').textContent === '加载失败，请重试' ? 'PASS' : 'FAIL',
+                failing.document.querySelector('.notion-loading-text').textContent);
+
+            // 旧版内容没有分页令牌：直接结束，不发送请求
+            const legacy = this.createProgressiveWindow(JSDOM,
+                `<div class="notion-progressive-loading" data-records="e30=">${loadButton}</div>`,
+                () => ({ success: true, data: {} })
+            );
+            await legacy.window.NotionProgressiveLoader.loadMore(legacy.document.querySelector('.notion-load-more-btn'));
+            this.addResult('旧版内容跳过加载',
+                legacy.requests.length === 0 && legacy.document.querySelector('.notion-progressive-loading').classList.contains('notion-progressive-complete') ? 'PASS' : 'FAIL',
+                `${legacy.requests.length} 次请求`);
+
+        } catch (error) {
+            this.addError('前端渐进式加载测试失败', error.message);
+        }
+    }
+
+    /**
+     * 测试 10：锚点定位到未加载的记录
+     *
+     * 锚点指向第 2 页中的记录时，锚点导航应通过 loadAll 加载剩余分页，
+     * 在服务端渲染的记录（带 notion-block- ID）出现后滚动到目标。
+     */
+    async testProgressiveAnchor() {
+        this.logTestStart('锚点定位到未加载的记录');
+
+        let JSDOM;
+        try {
+            ({ JSDOM } = require('jsdom'));
+        } catch (error) {
+            this.addResult('jsdom 环境', 'FAIL', '未安装 jsdom');
+            return;
+        }
+
+        const targetId = '3f2a1b4c-5d6e-4f70-8a9b-0c1d2e3f4a5b';
+        const records = Buffer.from(JSON.stringify({ ids: ['0a1b2c3d-0000-4000-8000-000000000001', targetId] })).toString('base64');
+
+        try {
+            const page = this.createProgressiveWindow(JSDOM,
+                '<div class="notion-database notion-database-table"><table class="notion-table"><tbody><tr><td>0</td></tr></tbody></table></div>' +
+                `<div class="notion-progressive-loading" data-database-id="db" data-view="table" data-cursor="1" data-remaining="2" data-token="token-3" data-records="${records}">` +
+                '<div class="notion-loading-trigger"><button type="button" class="notion-load-more-btn">' +
+                '<span class="notion-loading-text">加载更多</span><span class="notion-loading-spinner" style="display:none">⟳</span></button></div></div>',
+                fields => {
+                    const cursor = parseInt(fields.cursor, 10);
+                    const html = cursor === 1 ? '<tr><td>1</td></tr>' : `<tr id="notion-block-${targetId}"><td>2</td></tr>`;
+                    return { success: true, data: { view: 'table', html: html, count: 1, next_cursor: cursor === 1 ? '2' : null, has_more: cursor === 1, total: 3 } };
+                },
+                ['assets/js/anchor-navigation.js']
+            );
+
+            const arrived = new Promise(resolve => {
+                page.document.addEventListener('notion:anchor:after', event => resolve(event.detail.targetId));
+                page.document.addEventListener('notion:anchor:notfound', () => resolve(null));
+                setTimeout(() => resolve(null), 5000);
+            });
+            page.window.NotionToWordPressAnchor.scrollToAnchor('#notion-block-' + targetId);
+            const scrolledTo = await arrived;
+
+            this.addResult('加载后续分页',
+                page.requests.map(request => request.cursor).join(',') === '1,2' ? 'PASS' : 'FAIL',
+                `游标 ${page.requests.map(request => request.cursor).join(',')}`);
+            this.addResult('加载后滚动到目标',
+                scrolledTo === '#notion-block-' + targetId && page.window.location.hash === '#notion-block-' + targetId ? 'PASS' : 'FAIL',
+                scrolledTo ? `已定位 ${page.window.location.hash}` : '等待超时');
+        } catch (error) {
+            this.addError('锚点定位测试失败', error.message);
+        }
+    }
+
+    /**
+     * 创建加载了渐进式加载脚本的 jsdom 窗口，respond 根据请求参数返回 admin-ajax 响应，
+     * extraScripts 为随后加载的其他前端脚本
+     */
+    createProgressiveWindow(JSDOM, body, respond, extraScripts = []) {
+        const dom = new JSDOM(`<!DOCTYPE html><html><body>${body}</body></html>`, {
+            runScripts: 'outside-only',
+            pretendToBeVisual: true,
+            url: 'https://example.com/post/'
+        });
+        const window = dom.window;
+        const requests = [];
+
+        window.notionLazyConfig = { ajaxUrl: '/wp-admin/admin-ajax.php' };
+        window.console = { log() {}, warn() {}, error() {} };
+        window.fetch = (url, options) => {
+            const fields = Object.fromEntries(options.body.entries());
+            requests.push(fields);
+            return Promise.resolve({ json: () => Promise.resolve(respond(fields)) });
+        };
+
+        window.scrollTo = () => {};
+        window.HTMLElement.prototype.scrollIntoView = () => {};
+
+        for (const script of ['assets/js/notion-utils.js', 'assets/js/lazy-loading.js'].concat(extraScripts)) {
+            window.eval(fs.readFileSync(path.join(this.projectRoot, script), 'utf8'));
+        }
+
+        return { window, document: window.document, requests };
+    }
+
     /**
      * 工具方法
      */
@@ -36,7 +36,8 @@ $options = array(
     'notion_to_wordpress_global_cron_interval',
     'notion_to_wordpress_last_refresh',
     'notion_to_wordpress_last_update',
-    'notion_to_wordpress_last_sync'
+    'notion_to_wordpress_last_sync',
+    'notion_to_wordpress_blocked_formulas'
 );
 
 // 新版插件将所有设置存储于单一数组中